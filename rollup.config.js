@@ -7,14 +7,44 @@ const name = pkg.name
 	.replace(/^\w/, m => m.toUpperCase())
 	.replace(/-\w/g, m => m[1].toUpperCase());
 
-export default {
-	input: 'src/index.js',
-	output: [
-		{ file: pkg.module, 'format': 'es' },
-		{ file: pkg.main, 'format': 'umd', name }
-	],
-	plugins: [
-		svelte(),
-		resolve()
-	]
-};
+export default [
+	{
+		input: 'src/index.js',
+		output: [
+			{ file: pkg.module, 'format': 'es' },
+			{ file: pkg.main, 'format': 'umd', name, exports: 'named' }
+		],
+		plugins: [
+			svelte(),
+			resolve()
+		]
+	},
+	{
+		// <emscripten-module> custom element, for pages without Svelte
+		input: 'src/element.js',
+		output: [
+			{ file: 'dist/element.mjs', 'format': 'es' },
+			{ file: 'dist/element.js', 'format': 'iife', name: 'EmscriptenModuleElement' }
+		],
+		plugins: [
+			svelte(),
+			resolve()
+		]
+	},
+	{
+		// `use:emscripten` action, for Svelte apps that bring their own canvas
+		input: 'src/action.js',
+		output: { file: 'dist/action.mjs', 'format': 'es' },
+		plugins: [
+			resolve()
+		]
+	},
+	{
+		// Script for the Web Worker used by `options.worker`
+		input: 'src/emscripten-component-base/worker.js',
+		output: { file: 'dist/worker.js', 'format': 'iife' },
+		plugins: [
+			resolve()
+		]
+	}
+];
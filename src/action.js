@@ -0,0 +1,77 @@
+// `use:emscripten` Svelte action, which runs a Module on a canvas of your
+// own markup instead of the component's:
+//
+//     <canvas
+//       use:emscripten={ { module, options: { autorun: true } } }
+//       on:initialize={(e) => manager = e.detail.manager}
+//       on:print={(e) => console.log(e.detail.text)}
+//     />
+//
+// The canvas takes keyboard focus in place of the component's element, and
+// the component's events are dispatched on it. `initialize` carries the
+// manager, whose methods match the component's.
+
+import { ModuleManager, WorkerManager } from './emscripten-component-base';
+import { getManagerOptions, warnUpdateFailed } from './options.js';
+import { waitForLoadTrigger } from './load-trigger.js';
+
+/** Run `module` on `canvas` with the component's `options`. `console` may
+ ** be a <textarea> or an object with `write(text, stream)` and `clear()`.
+ ** Changes of `options` apply as they do for the component; changes of
+ ** `module` need a new canvas. */
+export function emscripten(canvas, { module, options = {}, console: consoleElement = null } = {}) {
+  let manager = null;
+  let destroyed = false;
+
+  // Like the component's element, the canvas must be focusable for keys
+  if (!canvas.hasAttribute('tabindex'))
+    canvas.tabIndex = 0;
+
+  const resizeObserver = new ResizeObserver(function(entries) {
+    if (manager)
+      entries.forEach(entry => manager.onResizeCanvas(entry));
+  });
+  resizeObserver.observe(canvas);
+
+  const loadTrigger = waitForLoadTrigger(canvas, options.loadOn);
+
+  loadTrigger.promise.then(async function() {
+    const Manager = options.worker ? WorkerManager : ModuleManager;
+    const instance = await Manager.initialize(
+      module,
+      canvas, canvas, consoleElement,
+      getManagerOptions(options, options.state)
+    );
+
+    if (destroyed) {
+      await instance.dispose('Emscripten action destroyed');
+      return;
+    }
+
+    manager = instance;
+    canvas.dispatchEvent(new CustomEvent('initialize', { detail: { manager } }));
+    canvas.dispatchEvent(new CustomEvent('ready'));
+
+    if (options.autorun)
+      manager.callMain();
+  }).catch(function(e) {
+    // As the component reports a failed load
+    canvas.dispatchEvent(new CustomEvent('abort', { detail: { reason: e } }));
+  });
+
+  return {
+    update(params) {
+      options = params.options || {};
+      if (manager)
+        manager.updateOptions(getManagerOptions(options, options.state)).catch(warnUpdateFailed);
+    },
+
+    destroy() {
+      destroyed = true;
+      loadTrigger.stop();
+      resizeObserver.disconnect();
+      if (manager)
+        manager.dispose('Emscripten action destroyed');
+    }
+  };
+}
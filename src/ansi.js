@@ -0,0 +1,133 @@
+// Parse ANSI SGR escape sequences (colors, bold, ...) in console output
+// into styled segments. Other escape sequences are dropped.
+
+const escapePattern = /\x1b\[([0-9;]*)([A-Za-z])/g;
+
+// xterm's default 16 colors
+const palette = [
+  '#000000', '#cd0000', '#00cd00', '#cdcd00', '#0000ee', '#cd00cd', '#00cdcd', '#e5e5e5',
+  '#7f7f7f', '#ff0000', '#00ff00', '#ffff00', '#5c5cff', '#ff00ff', '#00ffff', '#ffffff'
+];
+
+/** Create the SGR state of one output stream. Colors carry over from
+ ** line to line, like in a terminal. */
+export function createAnsiState() {
+  return { fg: null, bg: null, bold: false, italic: false, underline: false, inverse: false };
+}
+
+/** Parse one line of output. Returns `{ text, segments }`, where `text` is
+ ** the line without escape sequences and each segment is `{ text, style }`
+ ** with `style` as inline CSS. Updates `state`. */
+export function parseAnsiLine(line, state) {
+  const segments = [];
+  let text = '';
+  let last = 0;
+  let match;
+
+  const pushSegment = function(segmentText) {
+    if (!segmentText)
+      return;
+    text += segmentText;
+    segments.push({ text: segmentText, style: getStyle(state) });
+  };
+
+  escapePattern.lastIndex = 0;
+  while ((match = escapePattern.exec(line))) {
+    pushSegment(line.slice(last, match.index));
+    if (match[2] === 'm')
+      applySgr(state, match[1]);
+    last = escapePattern.lastIndex;
+  }
+  pushSegment(line.slice(last));
+
+  return { text, segments };
+}
+
+function applySgr(state, params) {
+  const codes = params === '' ? [0] : params.split(';').map(Number);
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+
+    if (code === 0)
+      Object.assign(state, createAnsiState());
+    else if (code === 1)
+      state.bold = true;
+    else if (code === 3)
+      state.italic = true;
+    else if (code === 4)
+      state.underline = true;
+    else if (code === 7)
+      state.inverse = true;
+    else if (code === 22)
+      state.bold = false;
+    else if (code === 23)
+      state.italic = false;
+    else if (code === 24)
+      state.underline = false;
+    else if (code === 27)
+      state.inverse = false;
+    else if (code >= 30 && code <= 37)
+      state.fg = palette[code - 30];
+    else if (code === 39)
+      state.fg = null;
+    else if (code >= 40 && code <= 47)
+      state.bg = palette[code - 40];
+    else if (code === 49)
+      state.bg = null;
+    else if (code >= 90 && code <= 97)
+      state.fg = palette[code - 90 + 8];
+    else if (code >= 100 && code <= 107)
+      state.bg = palette[code - 100 + 8];
+    else if (code === 38 || code === 48) {
+      // 38;5;n or 38;2;r;g;b, and likewise 48 for the background
+      let color = null;
+      if (codes[i + 1] === 5) {
+        color = get256Color(codes[i + 2]);
+        i += 2;
+      }
+      else if (codes[i + 1] === 2) {
+        color = `rgb(${codes[i + 2]}, ${codes[i + 3]}, ${codes[i + 4]})`;
+        i += 4;
+      }
+      if (code === 38)
+        state.fg = color;
+      else
+        state.bg = color;
+    }
+  }
+}
+
+function get256Color(n) {
+  if (n < 16)
+    return palette[n];
+
+  if (n < 232) {
+    // 6x6x6 color cube
+    const levels = [0, 95, 135, 175, 215, 255];
+    n -= 16;
+    return `rgb(${levels[Math.floor(n / 36)]}, ${levels[Math.floor(n / 6) % 6]}, ${levels[n % 6]})`;
+  }
+
+  // Grayscale ramp
+  const level = 8 + (n - 232) * 10;
+  return `rgb(${level}, ${level}, ${level})`;
+}
+
+function getStyle(state) {
+  const fg = state.inverse ? state.bg || 'var(--console-background)' : state.fg;
+  const bg = state.inverse ? state.fg || 'var(--console-color)' : state.bg;
+
+  let style = '';
+  if (fg)
+    style += `color: ${fg};`;
+  if (bg)
+    style += `background: ${bg};`;
+  if (state.bold)
+    style += 'font-weight: bold;';
+  if (state.italic)
+    style += 'font-style: italic;';
+  if (state.underline)
+    style += 'text-decoration: underline;';
+  return style;
+}
@@ -0,0 +1,583 @@
+// <emscripten-module> custom element, for pages and frameworks other than
+// Svelte. It wraps ModuleManager like Emscripten.svelte does, with the same
+// options, methods and events:
+//
+//     <script type="module" src="svelte-emscripten/dist/element.mjs"></script>
+//
+//     <emscripten-module src="module.js" wasm-path="module.wasm" autorun>
+//       <img slot="poster" src="poster.png" alt="" />
+//     </emscripten-module>
+//
+// `src` is your program JS, which defines the Module factory as a global
+// named by `export-name`. Or set the `module` property to the factory, or
+// to an async loader of it. Events such as `ready` and `print` are
+// dispatched on the element.
+
+import { ModuleManager, WorkerManager, parseCheckpoint } from './emscripten-component-base';
+import ConsoleView from './Console.svelte';
+import StatsView from './Stats.svelte';
+import { createEmscriptenState, readonlyState } from './state.js';
+import { getManagerOptions, getFocusHint, warnUpdateFailed } from './options.js';
+import { waitForLoadTrigger } from './load-trigger.js';
+import { createStdinHandler } from './stdin.js';
+
+// Options that may be set as attributes, with their types. Set the others
+// through the `options` property or the JSON `options` attribute.
+const optionAttributes = {
+  'autorun': 'boolean',
+  'load-on': 'string',
+  'global': 'boolean',
+  'capture-tab-key': 'boolean',
+  'wasm-path': 'string',
+  'emsdk-version': 'string',
+  'fullscreen-target': 'string',
+  'fullscreen-scaling': 'string',
+  'pause-when-hidden': 'boolean',
+  'stats': 'boolean',
+  'label': 'string',
+  'mute': 'boolean',
+  'volume': 'number'
+};
+
+// Methods that we pass on to the manager, once it is initialized
+const managerMethods = [
+  'callMain', 'pauseMainLoop', 'resumeMainLoop',
+  'requestFullscreen', 'exitFullscreen', 'requestPointerLock', 'exitPointerLock',
+  'captureFrame', 'startRecording', 'stopRecording', 'getMetrics', 'saveCheckpoint',
+  'callFunction', 'writeStdin', 'closeStdin',
+  'writeFile', 'readFile', 'listDir', 'mkdir', 'unlink', 'sync',
+  'readFileAsBlob', 'downloadFile'
+];
+
+// Styles of every instance, added to the page once
+const styles = `
+emscripten-module { display: flex; position: relative; }
+emscripten-module:focus { outline: 2px solid var(--emscripten-focus-color, #4d90fe); outline-offset: -2px; }
+emscripten-module.portrait { flex-direction: column; }
+emscripten-module .canvasContainer, emscripten-module .consoleContainer { flex: 1; margin: 0; }
+emscripten-module .canvasContainer { position: relative; }
+emscripten-module .canvasContainer:fullscreen { background: #000; }
+emscripten-module .consoleContainer { display: flex; flex-direction: column; }
+emscripten-module .consoleContainer input { margin: 0; font-family: monospace; }
+emscripten-module canvas { display: block; width: 100%; height: 100%; }
+emscripten-module .hide { display: none; }
+emscripten-module .statusOverlay {
+  position: absolute; top: 0; left: 0; right: 0; bottom: 0;
+  display: flex; flex-direction: column; align-items: center; justify-content: center;
+  background: rgba(0, 0, 0, 0.5); color: #fff; pointer-events: none;
+}
+emscripten-module .visuallyHidden {
+  position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0;
+  overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;
+}
+`;
+
+let stylesAdded = false;
+let instanceCount = 0;
+
+// Promises of the scripts that `src` attributes load, by URL
+const scripts = new Map();
+
+function addStyles() {
+  if (stylesAdded)
+    return;
+
+  stylesAdded = true;
+  const style = document.createElement('style');
+  style.textContent = styles;
+  document.head.appendChild(style);
+}
+
+function loadScript(src) {
+  // Once per page, even when several elements or resets load it
+  if (!scripts.has(src)) {
+    scripts.set(src, new Promise(function(resolve, reject) {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = function() {
+        scripts.delete(src);
+        reject(new Error(`Failed to load ${src}.`));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+  return scripts.get(src);
+}
+
+export default class EmscriptenModuleElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['canvas', 'console', 'vertical-orientation', 'options', ...Object.keys(optionAttributes)];
+  }
+
+  constructor() {
+    super();
+
+    this.__module = null;
+    this.__options = {};
+    this.__manager = null;
+    this.__generation = 0;
+    this.__stopLoadTrigger = function() {};
+
+    /** Wrappers for the functions declared in `options.functions`. */
+    this.functions = {};
+
+    /** Module exports such as embind classes. */
+    this.exports = new Proxy({}, {
+      get: (target, name) => {
+        if (this.__manager)
+          return this.__manager.getExport(name);
+      }
+    });
+
+    this.__state = createEmscriptenState();
+
+    /** Read-only stores of the runtime state; see state.js. */
+    this.state = readonlyState(this.__state);
+  }
+
+////////////////////////////////////////////////////////////////////////
+// PROPERTIES
+////////////////////////////////////////////////////////////////////////
+
+  /** Emscripten Module factory, or an async loader of it. Overrides `src`. */
+  get module() {
+    return this.__module;
+  }
+
+  set module(value) {
+    this.__module = value;
+    if (this.__rendered && this.isConnected)
+      this.__start();
+  }
+
+  /** Options as for the Svelte component, merged over those of the
+   ** attributes. */
+  get options() {
+    return this.__getOptions();
+  }
+
+  set options(value) {
+    this.__options = value || {};
+    this.__applyOptions();
+  }
+
+  get canvas() {
+    return this.__getBooleanAttribute('canvas', true);
+  }
+
+  get console() {
+    return this.__getBooleanAttribute('console', true);
+  }
+
+  get verticalOrientation() {
+    return this.__getBooleanAttribute('vertical-orientation', false);
+  }
+
+  __getBooleanAttribute(name, defaultValue) {
+    // Present means true, as for `autorun`, unless set to "false"
+    if (!this.hasAttribute(name))
+      return defaultValue;
+    return this.getAttribute(name) !== 'false';
+  }
+
+  __getOptions() {
+    let options = {};
+
+    const json = this.getAttribute('options');
+    if (json) {
+      try {
+        options = JSON.parse(json);
+      } catch (e) {
+        console.warn(`Ignoring the options attribute of <emscripten-module>, which is not JSON: ${e.message}`);
+      }
+    }
+
+    Object.keys(optionAttributes).forEach((name) => {
+      if (!this.hasAttribute(name))
+        return;
+
+      const key = name.replace(/-\w/g, m => m[1].toUpperCase());
+      const type = optionAttributes[name];
+      options[key] = type === 'boolean' ? this.__getBooleanAttribute(name)
+        : type === 'number' ? Number(this.getAttribute(name))
+        : this.getAttribute(name);
+    });
+
+    return { ...options, ...this.__options };
+  }
+
+  __getModule() {
+    if (this.__module)
+      return this.__module;
+
+    // Like a loader passed as `module`, see __instantiateModule()
+    const src = this.getAttribute('src');
+    const exportName = this.getAttribute('export-name') || 'Module';
+    if (src)
+      return () => loadScript(new URL(src, document.baseURI).href).then(() => window[exportName]);
+
+    return null;
+  }
+
+////////////////////////////////////////////////////////////////////////
+// LIFECYCLE
+////////////////////////////////////////////////////////////////////////
+
+  connectedCallback() {
+    // Properties set before this element was defined shadow our setters
+    ['module', 'options'].forEach((name) => {
+      if (Object.prototype.hasOwnProperty.call(this, name)) {
+        const value = this[name];
+        delete this[name];
+        this[name] = value;
+      }
+    });
+
+    this.__render();
+
+    // Let scripts set the `module` property right after adding us
+    Promise.resolve().then(() => {
+      if (this.isConnected)
+        this.__start();
+    });
+  }
+
+  disconnectedCallback() {
+    this.__stopLoadTrigger();
+    this.__started = false;
+    this.__dispose('Emscripten element disconnected');
+  }
+
+  attributeChangedCallback() {
+    if (this.__rendered)
+      this.__applyOptions();
+  }
+
+  async __start() {
+    const options = this.__getOptions();
+
+    // Headless elements only run() programs to completion
+    if (this.__started || options.headless || !this.__getModule())
+      return;
+
+    this.__started = true;
+
+    const loadTrigger = waitForLoadTrigger(this, options.loadOn);
+    this.__stopLoadTrigger = loadTrigger.stop;
+    await loadTrigger.promise;
+
+    try {
+      await this.initialize();
+    } catch (e) {
+      // Reported through the `abort` event
+      return;
+    }
+
+    if (this.__getOptions().autorun)
+      this.callMain();
+  }
+
+////////////////////////////////////////////////////////////////////////
+// RENDERING
+////////////////////////////////////////////////////////////////////////
+
+  __render() {
+    if (this.__rendered)
+      return;
+
+    this.__rendered = true;
+    addStyles();
+
+    // Children with slot="poster" show until loading starts
+    this.__posterElements = Array.from(this.children).filter(child => child.slot === 'poster');
+
+    this.__canvasContainer = document.createElement('div');
+    this.__canvasContainer.className = 'canvasContainer';
+    this.__createCanvas();
+
+    const consoleContainer = document.createElement('div');
+    consoleContainer.className = 'consoleContainer';
+    this.__consoleContainer = consoleContainer;
+
+    this.__consoleView = new ConsoleView({
+      target: consoleContainer,
+      props: { scrollback: this.__getOptions().consoleScrollback || 5000 }
+    });
+
+    this.__stdinElement = document.createElement('input');
+    this.__stdinElement.type = 'text';
+    this.__stdinElement.autocomplete = 'off';
+    this.__stdinElement.spellcheck = false;
+    this.__stdinElement.setAttribute('aria-label', 'Console input');
+    this.__stdinElement.addEventListener('keydown', createStdinHandler({
+      echo: text => this.__consoleView.write(text, 'stdin'),
+      write: text => this.writeStdin(text),
+      close: () => this.closeStdin()
+    }));
+    // Keep Module's key handlers from swallowing keystrokes
+    this.__stdinElement.addEventListener('keypress', evt => evt.stopPropagation());
+    this.__stdinElement.addEventListener('keyup', evt => evt.stopPropagation());
+    consoleContainer.appendChild(this.__stdinElement);
+
+    this.__statusElement = document.createElement('div');
+    this.__statusElement.className = 'statusOverlay hide';
+    this.__statusElement.setAttribute('role', 'status');
+
+    // Read by screen readers when we take focus, and upon release
+    this.__hintElement = document.createElement('div');
+    this.__hintElement.className = 'visuallyHidden';
+    this.__hintElement.id = `emscripten-module-hint-${instanceCount++}`;
+
+    this.__announcementElement = document.createElement('div');
+    this.__announcementElement.className = 'visuallyHidden';
+    this.__announcementElement.setAttribute('role', 'status');
+    this.__announcementElement.setAttribute('aria-live', 'polite');
+
+    this.append(
+      this.__hintElement, this.__announcementElement,
+      this.__canvasContainer, consoleContainer, this.__statusElement
+    );
+
+    this.__resizeObserver = new ResizeObserver((entries) => {
+      if (this.__manager)
+        entries.forEach(entry => this.__manager.onResizeCanvas(entry));
+    });
+    this.__resizeObserver.observe(this.__canvasElement);
+
+    this.addEventListener('ready', this.__onReady.bind(this));
+    this.addEventListener('progress', this.__onProgress.bind(this));
+    this.addEventListener('metrics', this.__onMetrics.bind(this));
+    this.addEventListener('contextrestored', this.__onContextRestored.bind(this));
+    this.addEventListener('focusin', this.__onFocusIn.bind(this));
+    this.addEventListener('focusrelease', this.__onFocusRelease.bind(this));
+
+    this.__applyOptions();
+  }
+
+  __createCanvas() {
+    // A canvas can be transferred to a worker only once, so each worker
+    // gets a fresh canvas.
+    if (this.__canvasElement) {
+      this.__resizeObserver.unobserve(this.__canvasElement);
+      this.__canvasElement.remove();
+    }
+
+    this.__canvasElement = document.createElement('canvas');
+    this.__canvasElement.tabIndex = -1;
+    this.__canvasElement.addEventListener('contextmenu', evt => evt.preventDefault());
+    this.__canvasContainer.prepend(this.__canvasElement);
+
+    if (this.__resizeObserver)
+      this.__resizeObserver.observe(this.__canvasElement);
+  }
+
+  __applyOptions() {
+    // Reflect the props and options in our markup, and in the running
+    // Module, as the Svelte component does reactively
+    if (!this.__rendered)
+      return;
+
+    const options = this.__getOptions();
+    const canvas = this.canvas;
+
+    this.classList.toggle('portrait', this.verticalOrientation);
+    this.__canvasContainer.classList.toggle('hide', !canvas);
+    this.__consoleContainer.classList.toggle('hide', !this.console);
+    this.__updateStats(options);
+
+    if (!this.hasAttribute('tabindex') || this.__ownsTabIndex) {
+      this.__ownsTabIndex = true;
+      this.tabIndex = canvas || !this.console ? 0 : -1;
+    }
+
+    this.__hintElement.textContent = getFocusHint(options);
+    this.setAttribute('aria-label', options.label || 'Emscripten program');
+    if (canvas) {
+      this.setAttribute('role', 'application');
+      this.setAttribute('aria-describedby', this.__hintElement.id);
+    } else {
+      this.removeAttribute('role');
+      this.removeAttribute('aria-describedby');
+    }
+
+    if (this.__manager) {
+      this.__manager.updateOptions(getManagerOptions(options, this.__state)).catch(warnUpdateFailed);
+      this.__manager.setCanvasVisible(canvas).catch(warnUpdateFailed);
+    }
+  }
+
+  __updateStats(options) {
+    if (options.stats && !this.__statsView)
+      this.__statsView = new StatsView({ target: this.__canvasContainer, props: { metrics: null } });
+    else if (!options.stats && this.__statsView) {
+      this.__statsView.$destroy();
+      this.__statsView = null;
+    }
+  }
+
+  __showStatus(status, progress = null) {
+    const element = this.__statusElement;
+    element.classList.toggle('hide', !status);
+    element.textContent = '';
+
+    const text = document.createElement('span');
+    text.textContent = status;
+    element.appendChild(text);
+
+    if (progress !== null) {
+      const bar = document.createElement('progress');
+      bar.max = 1;
+      bar.value = progress;
+      element.appendChild(bar);
+    }
+  }
+
+////////////////////////////////////////////////////////////////////////
+// METHODS
+////////////////////////////////////////////////////////////////////////
+
+  async initialize() {
+    if (this.__manager) {
+      console.warn('Module already initialized!');
+      return;
+    }
+
+    this.__stopLoadTrigger();
+    this.__posterElements.forEach(element => element.classList.add('hide'));
+    this.__showStatus('Loading...');
+
+    const options = getManagerOptions(this.__getOptions(), this.__state);
+    const Manager = options.worker ? WorkerManager : ModuleManager;
+
+    // Changes when we are disposed while the Module loads
+    const generation = ++this.__generation;
+
+    let manager;
+    try {
+      manager = await Manager.initialize(
+        this.__getModule(),
+        this, this.__canvasElement, this.__consoleView,
+        options
+      );
+    } catch (e) {
+      // Don't leave the status on "Loading..."
+      this.__showStatus('');
+      this.dispatchEvent(new CustomEvent('abort', { detail: { reason: e } }));
+      throw e;
+    }
+
+    if (generation !== this.__generation || !this.isConnected) {
+      await manager.dispose('Emscripten element disconnected');
+      return;
+    }
+
+    this.__manager = manager;
+
+    Object.keys(options.functions || {}).forEach((name) => {
+      this.functions[name] = (...args) => this.callFunction(name, ...args);
+    });
+
+    this.__manager.setCanvasVisible(this.canvas);
+
+    // Only now may `ready` listeners call our methods
+    this.dispatchEvent(new CustomEvent('ready'));
+  }
+
+  abort(reason) {
+    if (this.__manager)
+      this.__manager.abort(reason);
+  }
+
+  async reset() {
+    await this.__dispose();
+
+    if (this.__getOptions().worker)
+      this.__createCanvas();
+
+    await this.initialize();
+  }
+
+  async run(request) {
+    if (this.__manager)
+      return await this.__manager.run(request);
+    else if (this.__getOptions().headless)
+      return await ModuleManager.run(this.__getModule(), request, this.__getOptions());
+  }
+
+  async restoreCheckpoint(checkpoint) {
+    // Checkpoints are restored into a fresh Module. Check this one before
+    // the reset.
+    await parseCheckpoint(checkpoint);
+    await this.reset();
+    await this.__manager.restoreCheckpoint(checkpoint);
+  }
+
+  async __dispose(reason) {
+    // Release the manager and its Module, including every listener that
+    // they attached. A Module that is still loading is released once
+    // loaded, see initialize().
+    this.__generation++;
+    if (!this.__manager)
+      return;
+
+    const manager = this.__manager;
+    this.__manager = null;
+
+    Object.keys(this.functions).forEach((name) => {
+      delete this.functions[name];
+    });
+
+    await manager.dispose(reason);
+  }
+
+////////////////////////////////////////////////////////////////////////
+// EVENT HANDLERS
+////////////////////////////////////////////////////////////////////////
+
+  __onReady() {
+    this.__showStatus('');
+  }
+
+  __onProgress(e) {
+    const { status, loaded, total } = e.detail;
+    this.__showStatus(status, total ? loaded / total : null);
+  }
+
+  __onMetrics(e) {
+    if (this.__statsView)
+      this.__statsView.$set({ metrics: e.detail });
+  }
+
+  __onContextRestored() {
+    // Module's GL resources were lost along with the context
+    if (this.__getOptions().resetOnContextLoss)
+      this.reset();
+  }
+
+  __onFocusIn(e) {
+    // Entering from elsewhere; let the next release be announced anew
+    if (!this.contains(e.relatedTarget))
+      this.__announcementElement.textContent = '';
+  }
+
+  __onFocusRelease() {
+    this.__announcementElement.textContent = 'Keyboard released. Press Tab to continue.';
+  }
+}
+
+managerMethods.forEach(function(name) {
+  // Until initialized, requestFullscreen() and requestPointerLock() do
+  // what they do for other elements
+  const elementMethod = HTMLElement.prototype[name];
+
+  EmscriptenModuleElement.prototype[name] = function(...args) {
+    if (this.__manager)
+      return this.__manager[name](...args);
+    if (elementMethod instanceof Function)
+      return elementMethod.apply(this, args);
+  };
+});
+
+if (!customElements.get('emscripten-module'))
+  customElements.define('emscripten-module', EmscriptenModuleElement);
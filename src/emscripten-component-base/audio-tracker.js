@@ -0,0 +1,46 @@
+// emscripten-component-base - audio-tracker.js
+//
+// Tells which Module created an AudioContext. SDL, OpenAL and Emscripten's
+// Web Audio API all construct the global AudioContext, so we wrap its
+// constructor once for the page. A context created while a manager runs
+// its Module's code, see withAudioOwner(), is handed to that manager.
+
+// Called with each context created now, or null outside of Module code
+let currentOwner = null;
+
+let installed = false;
+
+/** Start tracking AudioContexts. Only contexts constructed afterwards are
+ ** seen. */
+export function trackAudioContexts() {
+  if (installed || typeof window === 'undefined')
+    return;
+
+  installed = true;
+
+  ['AudioContext', 'webkitAudioContext'].forEach(function(name) {
+    if (!(window[name] instanceof Function))
+      return;
+
+    // A Proxy keeps `instanceof` and static members working
+    window[name] = new Proxy(window[name], {
+      construct(target, args, newTarget) {
+        const audioContext = Reflect.construct(target, args, newTarget);
+        if (currentOwner)
+          currentOwner(audioContext);
+        return audioContext;
+      }
+    });
+  });
+}
+
+/** Run `callback`, handing AudioContexts that it creates to `onCreate`. */
+export function withAudioOwner(onCreate, callback) {
+  const previousOwner = currentOwner;
+  currentOwner = onCreate;
+  try {
+    return callback();
+  } finally {
+    currentOwner = previousOwner;
+  }
+}
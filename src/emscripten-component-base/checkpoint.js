@@ -0,0 +1,47 @@
+// emscripten-component-base - checkpoint.js
+//
+// Layout of the Blobs of saveCheckpoint():
+// [header size][header][memory][file contents]
+// The header is JSON, and the size a little-endian Uint32.
+
+// Identifies the Blobs of saveCheckpoint(), and their layout
+export const checkpointFormat = 'svelte-emscripten-checkpoint/1';
+
+/** Split a Blob, ArrayBuffer or typed array from saveCheckpoint() into its
+ ** header, memory and file contents. Throws if it isn't a checkpoint. */
+export async function parseCheckpoint(checkpoint) {
+  let buffer = checkpoint;
+  if (checkpoint instanceof Blob)
+    buffer = await checkpoint.arrayBuffer();
+  else if (ArrayBuffer.isView(checkpoint))
+    buffer = checkpoint.buffer.slice(checkpoint.byteOffset, checkpoint.byteOffset + checkpoint.byteLength);
+
+  let header = null;
+  try {
+    const headerSize = new DataView(buffer).getUint32(0, true);
+    header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerSize)));
+  } catch (e) {
+    // Reported below
+  }
+
+  if (!header || header.format !== checkpointFormat)
+    throw new Error('Not a checkpoint from saveCheckpoint().');
+
+  let offset = new DataView(buffer).getUint32(0, true) + 4;
+  if (offset + header.memorySize > buffer.byteLength)
+    throw new Error('The checkpoint is truncated.');
+
+  const memory = new Uint8Array(buffer, offset, header.memorySize);
+  offset += header.memorySize;
+
+  const contents = header.files.map(function({ size }) {
+    if (offset + size > buffer.byteLength)
+      throw new Error('The checkpoint is truncated.');
+
+    const data = new Uint8Array(buffer, offset, size);
+    offset += size;
+    return data;
+  });
+
+  return { header, memory, contents };
+}
@@ -0,0 +1,65 @@
+// emscripten-component-base - frame-metrics.js
+//
+// Frame statistics for `options.stats` and getMetrics(). ModuleManager
+// records each main loop iteration and GL draw call; we keep the most
+// recent frames, so that metrics always cover the same window, however
+// often they are read.
+
+// Frames kept, about two seconds at 60 FPS
+const windowSize = 120;
+
+/** Upper bounds in ms of the frame time histogram's buckets. A last
+ ** bucket counts the longer frames. */
+export const frameTimeBuckets = [8.3, 16.7, 33.3, 50, 100];
+
+/** Create the metrics of one Module. ModuleManager counts draw calls in
+ ** `drawCalls` during each iteration. */
+export function createFrameMetrics() {
+  return { frames: [], drawCalls: 0 };
+}
+
+/** Record a main loop iteration that ran from `start` to `end`, as from
+ ** performance.now(). */
+export function recordFrame(metrics, start, end) {
+  metrics.frames.push({ start, end, drawCalls: metrics.drawCalls });
+  metrics.drawCalls = 0;
+
+  if (metrics.frames.length > windowSize)
+    metrics.frames.shift();
+}
+
+/** Summarize the recent frames. Times are in ms:
+ **
+ ** - `fps`: iterations in the last second
+ ** - `frameTime`, `maxFrameTime`: time from one iteration to the next
+ ** - `frameTimeHistogram`: frame counts per `frameTimeBuckets`
+ ** - `iterationTime`, `maxIterationTime`: time spent in an iteration
+ ** - `drawCalls`: GL draw calls per iteration */
+export function summarizeFrameMetrics(metrics, now = performance.now()) {
+  const frames = metrics.frames;
+  const frameTimes = [];
+  for (let i = 1; i < frames.length; i++)
+    frameTimes.push(frames[i].start - frames[i - 1].start);
+
+  const iterationTimes = frames.map(frame => frame.end - frame.start);
+
+  const histogram = new Array(frameTimeBuckets.length + 1).fill(0);
+  frameTimes.forEach(function(time) {
+    const index = frameTimeBuckets.findIndex(bound => time <= bound);
+    histogram[index >= 0 ? index : frameTimeBuckets.length]++;
+  });
+
+  return {
+    fps: frames.filter(frame => now - frame.end < 1000).length,
+    frameTime: average(frameTimes),
+    maxFrameTime: Math.max(0, ...frameTimes),
+    frameTimeHistogram: histogram,
+    iterationTime: average(iterationTimes),
+    maxIterationTime: Math.max(0, ...iterationTimes),
+    drawCalls: average(frames.map(frame => frame.drawCalls))
+  };
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
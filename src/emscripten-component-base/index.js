@@ -1 +1,3 @@
 export { default as ModuleManager } from './manager-module.js';
+export { default as WorkerManager } from './manager-worker.js';
+export { parseCheckpoint } from './checkpoint.js';
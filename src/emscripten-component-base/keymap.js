@@ -0,0 +1,66 @@
+// emscripten-component-base - keymap.js
+//
+// Keyboard shortcuts for `options.keymap` and `options.releaseFocusKey`,
+// written like 'F5', 'Ctrl+L' or 'Ctrl+Shift+KeyZ': modifiers, then the
+// key by KeyboardEvent.key or .code, case-insensitive. A shortcut matches
+// only with exactly its modifiers pressed.
+
+const modifierProperties = {
+  ctrl: 'ctrlKey', control: 'ctrlKey',
+  alt: 'altKey', option: 'altKey',
+  shift: 'shiftKey',
+  meta: 'metaKey', cmd: 'metaKey', command: 'metaKey'
+};
+
+// Names that are easier to write than KeyboardEvent.key
+const keyAliases = { space: ' ', esc: 'escape', del: 'delete' };
+
+// Parsed shortcuts, by their text
+const shortcuts = new Map();
+
+function parseShortcut(text) {
+  if (!shortcuts.has(text)) {
+    const parts = text.split('+').map(part => part.trim().toLowerCase());
+    const key = parts.pop();
+    shortcuts.set(text, {
+      key: keyAliases[key] || key,
+      modifiers: new Set(parts.map(part => modifierProperties[part]))
+    });
+  }
+  return shortcuts.get(text);
+}
+
+/** Whether the key event `evt` is the shortcut `text`. */
+export function matchesShortcut(evt, text) {
+  const { key, modifiers } = parseShortcut(text);
+
+  if (Object.values(modifierProperties).some(name => !!evt[name] !== modifiers.has(name)))
+    return false;
+
+  return (evt.key || '').toLowerCase() === key || (evt.code || '').toLowerCase() === key;
+}
+
+function matchesAny(evt, texts) {
+  return !!texts && texts.some(text => matchesShortcut(evt, text));
+}
+
+/** Decide how `keymap` handles the key event `evt`. Returns `{ pass,
+ ** preventDefault }`: whether the program receives the event, and
+ ** whether its default action is always (true) or never (false)
+ ** prevented. `preventDefault` is null to let the program decide.
+ **
+ ** `keymap` is `{ allow, deny, preventDefault }`. Shortcuts in `deny`, or
+ ** missing from `allow` if given, go to the browser only. `preventDefault`
+ ** maps shortcuts to true or false. */
+export function applyKeymap(evt, keymap) {
+  if (!keymap)
+    return { pass: true, preventDefault: null };
+
+  if (matchesAny(evt, keymap.deny) || (keymap.allow && !matchesAny(evt, keymap.allow)))
+    return { pass: false, preventDefault: null };
+
+  const preventDefault = keymap.preventDefault || {};
+  const shortcut = Object.keys(preventDefault).find(text => matchesShortcut(evt, text));
+
+  return { pass: true, preventDefault: shortcut === undefined ? null : !!preventDefault[shortcut] };
+}
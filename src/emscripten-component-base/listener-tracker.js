@@ -0,0 +1,50 @@
+// emscripten-component-base - listener-tracker.js
+//
+// Debug aid for `options.debugListeners`. We follow the listeners that a
+// manager attaches itself, see Manager.__listen(), and the handlers that
+// its Module registers through JSEvents, see _patchEventHandlers(), rather
+// than every listener on the page. The DOM doesn't tell whether a listener
+// is still attached, so besides the handlers that JSEvents still holds
+// after dispose(), we report any listener that fires afterwards.
+
+/** Create the tracker of one manager. `describe(target)` names the
+ ** targets of its listeners in reports. */
+export function createListenerTracker(describe) {
+  return { describe, disposed: false };
+}
+
+/** Wrap `listener` of `type` on `target`, so that it reports and ignores
+ ** events once the tracker is disposed. Attach the wrapper instead. */
+export function trackListener(tracker, target, type, listener) {
+  let reported = false;
+
+  return function(...args) {
+    if (!tracker.disposed)
+      return listener.apply(this, args);
+
+    if (!reported) {
+      reported = true;
+      console.warn(`A ${type} listener on ${tracker.describe(target)} is still attached after dispose().`);
+    }
+  };
+}
+
+/** Wrap the handler of `eventHandler`, before JSEvents registers it. */
+export function trackHandler(tracker, eventHandler) {
+  if (eventHandler.handlerFunc instanceof Function)
+    eventHandler.handlerFunc = trackListener(tracker, eventHandler.target,
+      eventHandler.eventTypeString, eventHandler.handlerFunc);
+}
+
+/** Mark the manager disposed, and report the JSEvents `eventHandlers`
+ ** that weren't removed. */
+export function disposeListenerTracker(tracker, eventHandlers = []) {
+  tracker.disposed = true;
+
+  const leaks = eventHandlers.map(function(eventHandler) {
+    return `${tracker.describe(eventHandler.target)}: ${eventHandler.eventTypeString}${eventHandler.useCapture ? ' (capture)' : ''}`;
+  });
+
+  if (leaks.length)
+    console.warn(`${leaks.length} event listener(s) still attached after dispose():\n  ${leaks.join('\n  ')}`);
+}
@@ -1,4 +1,53 @@
 import { default as Manager } from './manager.js';
+import { compileWasm } from './wasm-cache.js';
+import { createFrameMetrics, recordFrame, summarizeFrameMetrics } from './frame-metrics.js';
+import { trackAudioContexts, withAudioOwner } from './audio-tracker.js';
+import { trackHandler } from './listener-tracker.js';
+import { checkpointFormat, parseCheckpoint } from './checkpoint.js';
+
+// Runtime exports that we rely on, and what is skipped without them.
+const requiredExports = {
+  JSEvents: 'Keyboard, resize and fullscreen events will not be scoped to this component.',
+  GL: 'The WebGL viewport will not be adjusted and contexts will not be disposed on abort.',
+  specialHTMLTargets: "Queries for '#canvas' will not be redirected to this component.",
+  callMain: 'callMain() is unavailable.',
+  abort: 'abort() will not stop the program.'
+};
+
+// Typed arrays that `functions` may take as arguments
+const typedArrayTypes = {
+  Int8Array, Uint8Array, Int16Array, Uint16Array,
+  Int32Array, Uint32Array, Float32Array, Float64Array
+};
+
+// WebGL calls that we count as draw calls
+const drawCallNames = [
+  'drawArrays', 'drawElements', 'drawArraysInstanced',
+  'drawElementsInstanced', 'drawRangeElements'
+];
+
+// Mouse, wheel and touch events that we scope to the component
+const pointerEventPattern = /^(mouse|touch|wheel$|click$|dblclick$|DOMMouseScroll$)/;
+
+// The most recently focused instance, which alone reads gamepads
+let gamepadOwner = null;
+
+// Persist namespaces of the mounted instances on this page, see
+// _mountPersistentStorage()
+const persistOwners = new Map();
+
+function withoutPreventDefault(evt) {
+  // Methods such as stopPropagation() must be called on the event itself
+  return new Proxy(evt, {
+    get(target, name) {
+      if (name === 'preventDefault')
+        return function() {};
+
+      const value = Reflect.get(target, name);
+      return value instanceof Function ? value.bind(target) : value;
+    }
+  });
+}
 
 export default class ModuleManager extends Manager {
   constructor(
@@ -12,6 +61,13 @@ export default class ModuleManager extends Manager {
     );
 
     this._moduleFactory = moduleFactory;
+    this.__frameMetrics = createFrameMetrics();
+
+    // AudioContexts that the program created, with the gain nodes that
+    // apply `mute` and `volume`
+    this.__audioGains = new Map();
+    this.__onAudioContext = audioContext => this.__adoptAudioContext(audioContext);
+    trackAudioContexts();
   }
 
 ////////////////////////////////////////////////////////////////////////
@@ -23,7 +79,8 @@ export default class ModuleManager extends Manager {
     componentElement, canvasElement, consoleElement,
     userOptions
   ) {
-    const manager = new ModuleManager(
+    // `this` is the class, so that subclasses get instances of their own
+    const manager = new this(
       moduleFactory,
       componentElement, canvasElement, consoleElement,
       userOptions
@@ -34,11 +91,45 @@ export default class ModuleManager extends Manager {
     return manager;
   }
 
+  static async preload(moduleFactory, wasmPath, userOptions = {}) {
+    // Compile a program's WASM before any component mounts, so that they
+    // find it in the shared cache. No Module is created.
+    const manager = new this(
+      moduleFactory,
+      null, null, null,
+      { ...userOptions, wasmPath }
+    );
+
+    return await manager.__compileWasm();
+  }
+
+  static async run(moduleFactory, request, userOptions = {}) {
+    // Run a program without a component, e.g. behind a form
+    const manager = new this(
+      moduleFactory,
+      null, null, null,
+      userOptions
+    );
+
+    return await manager.run(request);
+  }
+
   async callMain(args) {
-    this._moduleInstance.callMain(args);
+    if (!this._hasExport('callMain'))
+      throw new Error(this.__getMissingExportMessage('callMain'));
+
+    this.__setState('status', 'running');
+    this.__mainArgs = args || [];
+    withAudioOwner(this.__onAudioContext, () => this._moduleInstance.callMain(args));
   }
 
   async abort(what = 'Aborted by JS component.') {
+    this._stopPersistSync();
+    this._stopStateTracking();
+    this.__stopVisibilityTracking();
+    this._detachInputScoping();
+    this._detachContextLossHandlers();
+
     try {
       this._moduleInstance.abort(what);
     } catch(e) {
@@ -46,37 +137,474 @@ export default class ModuleManager extends Manager {
     }
   }
 
+  async dispose(reason = 'Disposed by JS component.') {
+    // Release everything that we and Module hold on to, so that the Module
+    // and its heap can be garbage collected. The manager can't be used
+    // afterwards.
+    const module = this._moduleInstance;
+    this.__disposed = true;
+
+    if (module && this.__status !== 'aborted' && this.__status !== 'exited')
+      await this.abort(reason);
+
+    // Again, in case the program had stopped by itself
+    this._stopPersistSync();
+    this._stopStateTracking();
+    this.__stopVisibilityTracking();
+    this._detachInputScoping();
+    this._detachContextLossHandlers();
+
+    // For `debugListeners`, the handlers that releasing the Module should
+    // remove
+    const eventHandlers = module && module.JSEvents && module.JSEvents.eventHandlers
+      ? module.JSEvents.eventHandlers.slice()
+      : [];
+
+    if (module) {
+      this.__releaseModule(module);
+      this._closeAudio();
+    }
+
+    if (this.__recorder)
+      await this.__stopRecording();
+
+    this.__removeListeners();
+    this.__applyCanvasStyle(null);
+    this.__discardStateLines();
+
+    this._moduleInstance = null;
+    this.__functions = {};
+    this.__frameCallbacks = [];
+    this.__stdinQueue.length = 0;
+
+    this.__disposeListenerTracker(eventHandlers.filter(function(eventHandler) {
+      return module.JSEvents.eventHandlers.includes(eventHandler);
+    }));
+  }
+
   async pauseMainLoop() {
+    this.__autoPaused = false;
     this._moduleInstance.pauseMainLoop();
+    this._suspendAudio();
+    this.__setState('status', 'paused');
+    await this.sync();
   }
 
   async resumeMainLoop() {
+    this.__autoPaused = false;
     this._moduleInstance.resumeMainLoop();
+    this._resumeAudio();
+    this.__setState('status', 'running');
   }
 
   async requestFullscreen() {
-    return await this.__canvasElement.requestFullscreen();
+    return await this.__requestFullscreen();
   }
 
   async exitFullscreen() {
-    return await this.__canvasElement.exitFullscreen();
+    if (this.__isFullscreen())
+      return await this._document.exitFullscreen();
+  }
+
+  async requestPointerLock() {
+    return await this.__canvasElement.requestPointerLock();
+  }
+
+  async exitPointerLock() {
+    if (this._document.pointerLockElement === this.__canvasElement)
+      this._document.exitPointerLock();
+  }
+
+  async updateOptions(userOptions) {
+    // Apply changes of `liveOptions` without restarting the program
+    const changed = this.__updateOptions(userOptions);
+
+    if (changed.includes('captureFocusOnComponent'))
+      this._retargetKeyEventHandlers();
+
+    // Refit the canvas now rather than upon its next resize
+    if (changed.includes('resizeCanvasOnElementSizing') && this.__options.resizeCanvasOnElementSizing)
+      this.onResizeCanvas({ target: this.__canvasElement });
+    else if (changed.includes('adjustViewportByDevicePixelRatio'))
+      this._fixCanvasViewport();
+
+    if (this.__isFullscreen() && changed.some(name => name === 'fullscreenScaling' || name === 'aspectRatio'))
+      this._updateCanvasSizing();
+
+    if (changed.includes('mute') || changed.includes('volume'))
+      this._applyVolume();
+
+    if (this.__tracksMetrics && (changed.includes('stats') || changed.includes('metricsInterval')))
+      this.__restartMetricsTimer();
+  }
+
+  async setCanvasVisible(visible) {
+    // The component hides the canvas with `display: none`, which leaves it
+    // with no size. Until it is shown and its ResizeObserver refits the
+    // content, ignore resizes, which would size the content to nothing.
+    this.__canvasHidden = !visible;
+
+    if (!visible) {
+      await this.exitPointerLock();
+      if (this._document.fullscreenElement === this.__canvasElement)
+        await this.exitFullscreen();
+    }
   }
 
   onResizeCanvas(...args) {
-    if (this.__options.resizeCanvasOnElementSizing) {
+    if (this.__options.resizeCanvasOnElementSizing && !this.__canvasHidden) {
       this._handleResizeCanvas(...args);
     }
   }
 
+  writeStdin(text) {
+    // Queue UTF-8 bytes for the program to read from stdin.
+    const bytes = new TextEncoder().encode(text);
+    for (let i = 0; i < bytes.length; i++)
+      this.__stdinQueue.push(bytes[i]);
+  }
+
+  closeStdin() {
+    // Signal EOF once the program has read all queued bytes. Like a
+    // terminal's Ctrl+D, later writes are readable again after the EOF.
+    this.__stdinQueue.push(null);
+  }
+
+  writeFile(path, data) {
+    // `data` may be a string, an ArrayBuffer or a typed array.
+    const FS = this._getFs();
+    if (data instanceof ArrayBuffer)
+      data = new Uint8Array(data);
+    this.__mkdirParents(FS, path);
+    FS.writeFile(path, data);
+  }
+
+  readFile(path, { encoding = 'binary' } = {}) {
+    // Returns a Uint8Array, or a string when `encoding` is 'utf8'.
+    return this._getFs().readFile(path, { encoding });
+  }
+
+  listDir(path = '.') {
+    return this._getFs().readdir(path)
+      .filter(name => name !== '.' && name !== '..');
+  }
+
+  mkdir(path) {
+    // Create `path` and any missing parent directories.
+    this.__mkdirTree(this._getFs(), path);
+  }
+
+  unlink(path) {
+    this._getFs().unlink(path);
+  }
+
+  async sync() {
+    // Write `persist` mounts back to IndexedDB. Syncs are queued so that
+    // only one is in flight at a time.
+    if (!this.__persistMounted)
+      return;
+
+    const FS = this._moduleInstance.FS;
+    this.__syncPromise = (this.__syncPromise || Promise.resolve())
+      .then(() => new Promise((resolve) => {
+        FS.syncfs(false, (err) => {
+          if (err)
+            this.__dispatch('syncerror', { error: err });
+          resolve();
+        });
+      }));
+
+    return this.__syncPromise;
+  }
+
+  async run({ args = [], stdin = '', files = {} } = {}) {
+    // Run main() to completion in a fresh Module from our factory, apart
+    // from the Module that this manager displays. Resolves with
+    // `{ exitCode, stdout, stderr, files }`, where `files` holds the
+    // files that the program wrote. Rejects if the program aborts.
+    const stdout = [];
+    const stderr = [];
+    const stdinBytes = typeof stdin === 'string' ? new TextEncoder().encode(stdin) : new Uint8Array(stdin);
+    let stdinIndex = 0;
+    let exitCode = null;
+    let abortReason = null;
+
+    const module = await this.__instantiateModule({
+      locateFile: this.__getWasmLocateFile(),
+      instantiateWasm: this.__getInstantiateWasmHandler(),
+      ...this.__initialModule,
+      noInitialRun: true,
+
+      // Read all of `stdin`, then EOF
+      stdin: () => stdinIndex < stdinBytes.length ? stdinBytes[stdinIndex++] : null,
+      print: (...text) => stdout.push(text.join(' ')),
+      printErr: (...text) => stderr.push(text.join(' ')),
+
+      // Without EXIT_RUNTIME, Emscripten calls quit() but not onExit()
+      // when the program exits.
+      onExit: (code) => { exitCode = code; },
+      quit: (code, toThrow) => {
+        exitCode = code;
+        throw toThrow;
+      },
+      onAbort: (what) => { abortReason = what; }
+    });
+
+    const FS = module.FS;
+    const fileNames = Object.keys(files);
+
+    if (!FS && fileNames.length)
+      throw new Error(this.__getMissingExportMessage('FS'));
+
+    fileNames.forEach((path) => {
+      const data = files[path] instanceof ArrayBuffer ? new Uint8Array(files[path]) : files[path];
+      this.__mkdirParents(FS, path);
+      FS.writeFile(path, data);
+    });
+
+    const filesBefore = FS ? this.__listFiles(FS) : new Map();
+    const writtenPaths = FS ? this.__trackFileWrites(FS) : new Set();
+
+    try {
+      const result = module.callMain(args);
+      // Newer Emscripten returns main()'s result
+      if (exitCode === null && typeof result === 'number')
+        exitCode = result;
+    } catch (e) {
+      if (e && e.name === 'ExitStatus')
+        exitCode = e.status;
+      else if (abortReason === null) {
+        this.__releaseModule(module);
+        throw e;
+      }
+    }
+
+    if (abortReason !== null) {
+      this.__releaseModule(module);
+      throw abortReason instanceof Error ? abortReason : new Error(String(abortReason));
+    }
+
+    const outputFiles = {};
+    if (FS) {
+      this.__listFiles(FS).forEach((signature, path) => {
+        if (!filesBefore.has(path) || writtenPaths.has(path))
+          outputFiles[path] = FS.readFile(path);
+      });
+    }
+
+    this.__releaseModule(module);
+
+    return {
+      exitCode: exitCode === null ? 0 : exitCode,
+      stdout: stdout.join('\n'),
+      stderr: stderr.join('\n'),
+      files: outputFiles
+    };
+  }
+
+  async callFunction(name, ...args) {
+    const wrapper = this.__functions && this.__functions[name];
+    if (!wrapper)
+      throw new Error(`${name}() is not declared in options.functions.`);
+    return await wrapper(...args);
+  }
+
+  getExport(name) {
+    // E.g. embind classes and functions
+    return this._moduleInstance[name];
+  }
+
+  readFileAsBlob(path, type = 'application/octet-stream') {
+    return new Blob([this.readFile(path)], { type });
+  }
+
+  downloadFile(path, filename = path.split('/').pop()) {
+    const blob = this.readFileAsBlob(path);
+    this.__saveBlob(blob, filename);
+    return blob;
+  }
+
+  async captureFrame({ type = 'image/png', quality } = {}) {
+    // WebGL clears the drawing buffer once a frame is shown, so while the
+    // main loop runs, we read the canvas right after Module draws.
+    const mainLoopRunning = this.__status === 'running'
+      && performance.now() - this.__lastFrameTime < 1000;
+
+    if (mainLoopRunning && !this.__options.preserveDrawingBuffer) {
+      await new Promise((resolve) => {
+        // Should the loop stop meanwhile, read the canvas as it is
+        const timer = setTimeout(() => {
+          this.__frameCallbacks = this.__frameCallbacks.filter(callback => callback !== onFrame);
+          resolve();
+        }, 1000);
+        const onFrame = function() {
+          clearTimeout(timer);
+          resolve();
+        };
+        this.__frameCallbacks.push(onFrame);
+      });
+    }
+
+    const canvas = this.__canvasElement;
+
+    // OffscreenCanvas, in worker mode
+    if (!(canvas.toBlob instanceof Function))
+      return await canvas.convertToBlob({ type, quality });
+
+    return await new Promise(function(resolve, reject) {
+      canvas.toBlob(function(blob) {
+        if (blob)
+          resolve(blob);
+        else
+          reject(new Error('The canvas could not be captured.'));
+      }, type, quality);
+    });
+  }
+
+  async saveCheckpoint() {
+    // Serialize the program's memory, exported globals and filesystem for
+    // restoreCheckpoint(). Only safe between frames, so the main loop must
+    // be paused; see "Checkpoints" in the README.
+    if (this.__status !== 'ready' && this.__status !== 'paused')
+      throw new Error('saveCheckpoint() requires the main loop to be paused. Call pauseMainLoop() first.');
+
+    const module = this._moduleInstance;
+    if (!module.HEAPU8)
+      throw new Error(this.__getMissingExportMessage('HEAPU8'));
+
+    const FS = module.FS;
+    const files = [];
+    const contents = [];
+    if (FS) {
+      this.__listFiles(FS).forEach((signature, path) => {
+        const data = FS.readFile(path);
+        files.push({ path, size: data.length });
+        contents.push(data);
+      });
+    }
+
+    const memory = module.HEAPU8.slice();
+    const header = new TextEncoder().encode(JSON.stringify({
+      format: checkpointFormat,
+      // null when main() hasn't been called
+      mainArgs: this.__mainArgs || null,
+      memorySize: memory.length,
+      globals: this.__saveGlobals(module),
+      dirs: FS ? this.__listDirectories(FS) : [],
+      files
+    }));
+
+    // [header size][header][memory][file contents]
+    const headerSize = new DataView(new ArrayBuffer(4));
+    headerSize.setUint32(0, header.length, true);
+
+    return new Blob([headerSize, header, memory, ...contents], { type: 'application/octet-stream' });
+  }
+
+  async restoreCheckpoint(checkpoint) {
+    // Restore a Blob or ArrayBuffer from saveCheckpoint() into this fresh
+    // Module, which must come from the same build. The main loop stays
+    // paused until resumeMainLoop().
+    if (this.__status !== 'ready')
+      throw new Error('restoreCheckpoint() requires a fresh Module. Call reset() first.');
+
+    const { header, memory, contents } = await parseCheckpoint(checkpoint);
+    const module = this._moduleInstance;
+
+    if (!module.HEAPU8)
+      throw new Error(this.__getMissingExportMessage('HEAPU8'));
+
+    // With `checkpointCallsMain`, let main() set up what lives outside of
+    // the memory, such as the main loop and event handlers, before we
+    // overwrite the memory. Its other side effects happen again.
+    if (header.mainArgs && this.__options.checkpointCallsMain) {
+      await this.callMain(header.mainArgs);
+      await this.pauseMainLoop();
+    }
+
+    if (header.files.length && !module.FS)
+      throw new Error(this.__getMissingExportMessage('FS'));
+
+    if (module.FS)
+      this.__restoreFiles(module.FS, header, contents);
+
+    if (module.HEAPU8.length < memory.length) {
+      if (!module._malloc || !module._free)
+        throw new Error("Module._malloc is not exported. Add '_malloc' and '_free' to your linker flag -s EXPORTED_FUNCTIONS.");
+
+      // Emscripten grows the memory, and updates HEAPU8, only from within
+      // malloc(). What malloc() records is overwritten below.
+      const ptr = module._malloc(memory.length - module.HEAPU8.length);
+      module._free(ptr);
+
+      if (!ptr || module.HEAPU8.length < memory.length)
+        throw new Error('The memory could not grow to the size of the checkpoint. Link with -s ALLOW_MEMORY_GROWTH=1.');
+    }
+
+    // Memory can't shrink, so clear what lies past the checkpoint's
+    module.HEAPU8.set(memory);
+    module.HEAPU8.fill(0, memory.length);
+    this.__restoreGlobals(module, header.globals);
+    this.__mainArgs = header.mainArgs;
+
+    const restoredFunction = this.__options.checkpointRestoredFunction;
+    if (restoredFunction) {
+      if (!module['_' + restoredFunction])
+        throw new Error(`Module._${restoredFunction} is not exported. Add '_${restoredFunction}' to your linker flag -s EXPORTED_FUNCTIONS.`);
+
+      try {
+        withAudioOwner(this.__onAudioContext, () => module['_' + restoredFunction]());
+      } catch (e) {
+        // emscripten_set_main_loop() unwinds the stack to simulate an
+        // infinite loop
+        if (e !== 'unwind' && e !== 'SimulateInfiniteLoop')
+          throw e;
+      }
+    }
+
+    // A main loop that checkpointRestoredFunction set up waits for
+    // resumeMainLoop(), too
+    const mainLoop = module.MainLoop || (module.Browser && module.Browser.mainLoop);
+    if (this.__status === 'ready' && mainLoop && mainLoop.func) {
+      this.__setState('status', 'running');
+      await this.pauseMainLoop();
+    }
+
+    this.__dispatch('checkpointrestored');
+  }
+
+  getMetrics() {
+    // See summarizeFrameMetrics() for the frame metrics
+    const HEAPU8 = this._moduleInstance.HEAPU8;
+    const heapSize = HEAPU8 ? HEAPU8.length : null;
+
+    return {
+      ...summarizeFrameMetrics(this.__frameMetrics),
+      heapSize,
+      heapGrowth: heapSize !== null && this.__initialHeapSize ? heapSize - this.__initialHeapSize : null
+    };
+  }
+
+  async startRecording(recordingOptions) {
+    return this.__startRecording(recordingOptions);
+  }
+
+  async stopRecording() {
+    return await this.__stopRecording();
+  }
+
 ////////////////////////////////////////////////////////////////////////
 // INITIALIZATION MEHTODS
 ////////////////////////////////////////////////////////////////////////
 
   async _initializeModule() {
-    this._moduleInstance = await this._moduleFactory({
+    this._moduleInstance = await this.__instantiateModule({
       // Pass to Emscripten any user-specified WASM path.
       // Load this first so the user can override with their own function.
-      locateFile: this.__getLocateFile(),
+      locateFile: this.__getWasmLocateFile(),
+
+      // Compile the WASM once per page and share it among components
+      instantiateWasm: this.__getInstantiateWasmHandler(),
 
       // Allow user to instantiate Module with their own properties
       ...this.__initialModule,
@@ -98,11 +626,187 @@ export default class ModuleManager extends Manager {
       onAbort: this._getAbortHandler(),
 
       // Other handlers
+      stdin: this.__getStdinHandler(),
       print: this.__getPrintHandler(),
-      printErr: this.__getPrintErrHandler()
+      printErr: this.__getPrintErrHandler(),
+      setStatus: this.__getSetStatusHandler(),
+      monitorRunDependencies: this.__getMonitorRunDependenciesHandler(),
+      onRuntimeInitialized: this.__getRuntimeInitializedHandler(),
+      onExit: this.__getExitHandler(),
+      postMainLoop: this.__getPostMainLoopHandler(),
+
+      // For the program to call, e.g. through EM_ASM; see __attachTextInput()
+      startTextInput: () => this.__setTextInput(true),
+      stopTextInput: () => this.__setTextInput(false),
+      setClipboardText: text => this.__copyToClipboard(String(text))
     });
 
+    this._validateExports();
     this._patchModule();
+    this._createFunctionWrappers();
+
+    await this._mountPersistentStorage();
+    await this._preloadFiles();
+
+    this._startStateTracking();
+    this.__startVisibilityTracking();
+    // Our owner dispatches `ready` once it holds the manager, so that
+    // `ready` handlers may call its methods
+    this.__setState('status', 'ready');
+  }
+
+  async __instantiateModule(moduleArgs) {
+    // Failures of our instantiateWasm reject here, see
+    // __getInstantiateWasmHandler(); Module's own promise never settles.
+    const failure = new Promise((resolve, reject) => {
+      this.__rejectInstantiation = reject;
+    });
+
+    return await Promise.race([this.__callModuleFactory(moduleArgs), failure]);
+  }
+
+  async __callModuleFactory(moduleArgs) {
+    // `_moduleFactory` is either the Module factory or an async loader of
+    // it, e.g. `() => import('./module.js')`, which ignores our arguments.
+    // The factory resolves with the very object that we pass it.
+    const result = await this._moduleFactory(moduleArgs);
+
+    if (result === moduleArgs)
+      return result;
+
+    const factory = result instanceof Function ? result : result && result.default;
+
+    // Not a loader after all, e.g. a factory that copies its arguments
+    if (!(factory instanceof Function))
+      return result;
+
+    this._moduleFactory = factory;
+    return await factory(moduleArgs);
+  }
+
+  __releaseModule(module) {
+    // Detach what keeps `module` alive from the page, for dispose() and
+    // after run()
+    if (module.JSEvents && module.JSEvents.removeAllEventListeners instanceof Function)
+      module.JSEvents.removeAllEventListeners();
+
+    // Cancel the main loop, as emscripten_cancel_main_loop() does. The
+    // pending animation frame ends it instead of scheduling another
+    // iteration, and nothing is left to resume.
+    const mainLoop = module.MainLoop || (module.Browser && module.Browser.mainLoop);
+    if (mainLoop && mainLoop.pause instanceof Function) {
+      mainLoop.pause();
+      mainLoop.func = null;
+    }
+    else if (module.pauseMainLoop instanceof Function)
+      module.pauseMainLoop();
+
+    this.__disposeGlContexts(module);
+  }
+
+  __trackFileWrites(FS) {
+    // Collect the paths that run()'s program writes to, truncates or
+    // renames files to. Unlike modification times, this also catches
+    // rewrites within the same millisecond.
+    const writtenPaths = new Set();
+
+    FS.write = function(predefinedWrite) {
+      return function(stream, ...args) {
+        const result = predefinedWrite.call(FS, stream, ...args);
+        writtenPaths.add(FS.getPath(stream.node));
+        return result;
+      }
+    }(FS.write);
+
+    FS.truncate = function(predefinedTruncate) {
+      return function(path, ...args) {
+        const result = predefinedTruncate.call(FS, path, ...args);
+        writtenPaths.add(typeof path === 'string' ? FS.lookupPath(path, { follow: true }).path : FS.getPath(path));
+        return result;
+      }
+    }(FS.truncate);
+
+    FS.rename = function(predefinedRename) {
+      return function(oldPath, newPath) {
+        const result = predefinedRename.call(FS, oldPath, newPath);
+        writtenPaths.add(FS.lookupPath(newPath).path);
+        return result;
+      }
+    }(FS.rename);
+
+    return writtenPaths;
+  }
+
+  __getWasmLocateFile() {
+    // Remember where Module looks for its WASM, for instantiateWasm
+    const locateFile = this.__getLocateFile();
+    const manager = this;
+    return function(path, scriptDirectory) {
+      const url = locateFile(path, scriptDirectory);
+      if (path.endsWith('.wasm'))
+        manager.__wasmUrl = url;
+      return url;
+    };
+  }
+
+  __getInstantiateWasmHandler() {
+    // Newer emsdk versions locate the WASM only after calling this handler,
+    // so we can share it only if `wasmPath` tells us where it is.
+    // Otherwise, Module instantiates its WASM itself.
+    if (!this.__options.shareCompiledWasm || !this.__wasmPath)
+      return undefined;
+
+    const manager = this;
+    return function(imports, successCallback) {
+      manager.__compileWasm()
+        .then(async function(wasmModule) {
+          const instance = await WebAssembly.instantiate(wasmModule, imports);
+          successCallback(instance, wasmModule);
+        })
+        .catch(function(e) {
+          manager.__rejectInstantiation(e);
+        });
+
+      // Signal that we instantiate asynchronously
+      return {};
+    };
+  }
+
+  __compileWasm() {
+    // Module locates its WASM before instantiating it, except in newer
+    // emsdk versions, where only `wasmPath` tells us.
+    let url = this.__wasmUrl;
+
+    if (!url && this.__wasmPath)
+      url = this.__getLocateFile()(this.__wasmPath, '');
+
+    if (!url)
+      return Promise.reject(new Error('Set options.wasmPath to share or preload this program\'s WASM.'));
+
+    return compileWasm(new URL(url, location.href).href, {
+      storage: this.__options.wasmCacheStorage,
+      hash: this.__options.wasmCacheHash
+    });
+  }
+
+  _validateExports() {
+    // Without these exports, the patches below would fail with obscure
+    // TypeErrors. Report which flag is missing and skip what depends on it.
+    this.__missingExports = new Set();
+
+    Object.keys(requiredExports).forEach((name) => {
+      if (name === 'specialHTMLTargets' && !this.__options.patchSpecialHTMLTargets)
+        return;
+
+      if (this._moduleInstance[name] === undefined) {
+        this.__missingExports.add(name);
+        console.warn(this.__getMissingExportMessage(name) + ' ' + requiredExports[name]);
+      }
+    });
+  }
+
+  _hasExport(name) {
+    return !this.__missingExports.has(name);
   }
 
 ////////////////////////////////////////////////////////////////////////
@@ -112,33 +816,42 @@ export default class ModuleManager extends Manager {
   _patchModule() {
     this._patchCanvasQueries();
     this._attachFocusInvokers();
-    this._patchGlViewport();
+    this.__attachFocusRelease();
+    this.__attachTextInput();
+    this._attachInputScoping();
+    this._attachFileDropHandler();
+    this._attachContextLossHandlers();
+    this._patchGlContexts();
     this._patchEventHandlers();
+    this._patchGamepadState();
+    this._patchMainLoop();
+    this._attachAudioUnlock();
   }
 
   _patchCanvasQueries() {
-    if (!this.__options.redirectCanvasRequests)
+    if (!this.__options.redirectCanvasRequests
+        || !this.__options.patchSpecialHTMLTargets
+        || !this._hasExport('specialHTMLTargets'))
       return;
 
     // Point all of Module's requests for the canvas element to our component
-    if (this.__canvasElement instanceof HTMLElement)
+    if (this.__isElement(this.__canvasElement))
       this._moduleInstance.specialHTMLTargets['#canvas'] = this.__canvasElement;
   }
 
   _attachFocusInvokers() {
-    if (!this.__options.captureFocusOnComponent)
-      return;
-
     // Invoke keyboard focus on our component by attaching
     // a capture handler so that it runs before emscripten's
-    let componentElement = this.__componentElement;
-    let handler = function() {
-      componentElement.focus();
+    let options = this.__options;
+    let focusComponent = this.__focusComponent.bind(this);
+    let handler = function(evt) {
+      if (options.captureFocusOnComponent)
+        focusComponent(evt);
     };
 
-    if (this.__canvasElement instanceof HTMLElement) {
-      this.__canvasElement.addEventListener('mousedown', handler, true);
-      this.__canvasElement.addEventListener('touchstart', handler, true);
+    if (this.__isElement(this.__canvasElement)) {
+      this.__listen(this.__canvasElement, 'mousedown', handler, true);
+      this.__listen(this.__canvasElement, 'touchstart', handler, true);
     }
 
     // To respect a11y, don't redirect focus from a textarea
@@ -146,6 +859,530 @@ export default class ModuleManager extends Manager {
     //   __consoleElement.addEventListener('focus', handler, true);
   }
 
+  _attachInputScoping() {
+    // Track where mouse presses start and which instance was focused
+    // last, for the window and document handlers that we scope.
+    this.__pressStartHandler = this.__onPressStart.bind(this);
+    this.__listen(this._window, 'mousedown', this.__pressStartHandler, true);
+
+    if (this.__isElement(this.__componentElement)) {
+      this.__gamepadFocusHandler = () => {
+        gamepadOwner = this;
+      };
+      this.__listen(this.__componentElement, 'focusin', this.__gamepadFocusHandler);
+    }
+
+    if (!gamepadOwner)
+      gamepadOwner = this;
+  }
+
+  _detachInputScoping() {
+    if (this.__pressStartHandler)
+      this.__unlisten(this._window, 'mousedown', this.__pressStartHandler, true);
+    if (this.__gamepadFocusHandler)
+      this.__unlisten(this.__componentElement, 'focusin', this.__gamepadFocusHandler);
+
+    if (gamepadOwner === this)
+      gamepadOwner = null;
+  }
+
+////////////////////////////////////////////////////////////////////////
+// CHECKPOINTS
+////////////////////////////////////////////////////////////////////////
+
+  __getWasmExports(module) {
+    // Module.asm in older Emscripten; newer versions keep wasmExports to
+    // themselves unless it is exported.
+    return module.wasmExports || module.asm || {};
+  }
+
+  __saveGlobals(module) {
+    // Values of the globals that the program exports, e.g. the stack
+    // pointer. 64-bit values are BigInts, which JSON can't hold.
+    const wasmExports = this.__getWasmExports(module);
+    const globals = {};
+
+    Object.keys(wasmExports).forEach(function(name) {
+      if (!(wasmExports[name] instanceof WebAssembly.Global))
+        return;
+      const value = wasmExports[name].value;
+      globals[name] = { value: String(value), bigint: typeof value === 'bigint' };
+    });
+    return globals;
+  }
+
+  __restoreGlobals(module, globals) {
+    const wasmExports = this.__getWasmExports(module);
+
+    Object.keys(globals).forEach(function(name) {
+      const global = wasmExports[name];
+      if (!(global instanceof WebAssembly.Global))
+        return;
+      const { value, bigint } = globals[name];
+      try {
+        global.value = bigint ? BigInt(value) : Number(value);
+      } catch (e) {
+        // Immutable globals keep their value from the build anyway
+      }
+    });
+  }
+
+  __listDirectories(FS, path = '/', dirs = []) {
+    // Like __listFiles(), so that empty directories are kept too
+    FS.readdir(path).forEach((name) => {
+      if (name === '.' || name === '..')
+        return;
+
+      const child = (path === '/' ? '' : path) + '/' + name;
+      if (child === '/dev' || child === '/proc')
+        return;
+
+      if (FS.isDir(FS.stat(child).mode)) {
+        dirs.push(child);
+        this.__listDirectories(FS, child, dirs);
+      }
+    });
+    return dirs;
+  }
+
+  __restoreFiles(FS, { dirs, files }, contents) {
+    // Make the filesystem what it was, deleting files written since
+    const paths = new Set(files.map(file => file.path));
+    this.__listFiles(FS).forEach((signature, path) => {
+      if (!paths.has(path))
+        FS.unlink(path);
+    });
+
+    dirs.forEach(dir => FS.mkdirTree(dir));
+    files.forEach(function({ path }, i) {
+      FS.writeFile(path, contents[i]);
+    });
+  }
+
+////////////////////////////////////////////////////////////////////////
+// STATE
+////////////////////////////////////////////////////////////////////////
+
+  _startStateTracking() {
+    // Emscripten has no hooks for heap growth or for fullscreen changes
+    // that it didn't request, so we watch for them ourselves.
+    const documentTarget = this._document;
+
+    this.__fullscreenStateHandler = () => {
+      const isFullscreen = this.__isFullscreen();
+
+      if (this.__options.resizeCanvasOnFullscreenChange)
+        this._updateCanvasSizing();
+
+      this.__setState('isFullscreen', isFullscreen);
+      this.__dispatch('fullscreentoggle', { isFullscreen });
+    };
+    this.__listen(documentTarget, 'fullscreenchange', this.__fullscreenStateHandler);
+
+    const updateHeapSize = () => {
+      const HEAPU8 = this._moduleInstance.HEAPU8;
+      if (HEAPU8)
+        this.__setState('heapSize', HEAPU8.length);
+    };
+    updateHeapSize();
+    this.__heapSizeTimer = setInterval(updateHeapSize, 1000);
+
+    if (this._moduleInstance.HEAPU8)
+      this.__initialHeapSize = this._moduleInstance.HEAPU8.length;
+
+    this.__tracksMetrics = true;
+    this.__restartMetricsTimer();
+  }
+
+  __restartMetricsTimer() {
+    // `stats` shows the metrics, so it sends them at least every second
+    clearInterval(this.__metricsTimer);
+
+    const interval = this.__options.metricsInterval || (this.__options.stats ? 1000 : 0);
+    if (interval > 0)
+      this.__metricsTimer = setInterval(() => {
+        this.__dispatch('metrics', this.getMetrics());
+      }, interval);
+  }
+
+  _stopStateTracking() {
+    if (this.__fullscreenStateHandler)
+      this.__unlisten(this._document, 'fullscreenchange', this.__fullscreenStateHandler);
+    clearInterval(this.__heapSizeTimer);
+    clearInterval(this.__metricsTimer);
+    this.__tracksMetrics = false;
+  }
+
+////////////////////////////////////////////////////////////////////////
+// METRICS
+////////////////////////////////////////////////////////////////////////
+
+  _patchMainLoop() {
+    // Time each main loop iteration for getMetrics(), and adopt the
+    // AudioContexts that it creates. Newer Emscripten moved
+    // Browser.mainLoop to MainLoop.
+    const module = this._moduleInstance;
+    const mainLoop = module.MainLoop || (module.Browser && module.Browser.mainLoop);
+
+    if (!mainLoop || !(mainLoop.runIter instanceof Function)) {
+      if (this.__options.stats)
+        console.warn(this.__getMissingExportMessage('Browser') + ' Frame metrics will not be gathered.');
+      return;
+    }
+
+    const frameMetrics = this.__frameMetrics;
+    const onAudioContext = this.__onAudioContext;
+
+    mainLoop.runIter = function(predefinedRunIter) {
+      return function(...args) {
+        const start = performance.now();
+        try {
+          return withAudioOwner(onAudioContext, () => predefinedRunIter.apply(mainLoop, args));
+        } finally {
+          recordFrame(frameMetrics, start, performance.now());
+        }
+      }
+    }(mainLoop.runIter);
+  }
+
+  __countDrawCalls(gl) {
+    // Count the draw calls of a context that Module created, see
+    // _patchGlContexts()
+    const frameMetrics = this.__frameMetrics;
+
+    drawCallNames.forEach(function(name) {
+      if (!(gl[name] instanceof Function))
+        return;
+
+      gl[name] = function(predefinedDrawCall) {
+        return function(...args) {
+          frameMetrics.drawCalls++;
+          return predefinedDrawCall.apply(gl, args);
+        }
+      }(gl[name]);
+    });
+  }
+
+////////////////////////////////////////////////////////////////////////
+// AUDIO
+////////////////////////////////////////////////////////////////////////
+
+  _getAudioContexts() {
+    // Those we saw the program create, and SDL2's in case it was created
+    // elsewhere, e.g. in an event handler. We adopt the latter when first
+    // seen, rerouting SDL2's node that already plays into it.
+    const SDL2 = this._moduleInstance && this._moduleInstance.SDL2;
+    if (SDL2 && SDL2.audioContext && SDL2.audioContext.state !== 'closed'
+        && !this.__audioGains.has(SDL2.audioContext)) {
+      const scriptProcessorNode = SDL2.audio && SDL2.audio.scriptProcessorNode;
+      this.__adoptAudioContext(SDL2.audioContext, scriptProcessorNode ? [scriptProcessorNode] : []);
+    }
+
+    return [...this.__audioGains.keys()].filter(audioContext => audioContext.state !== 'closed');
+  }
+
+  __adoptAudioContext(audioContext, connectedNodes = []) {
+    // Called as the program creates an AudioContext, before it connects
+    // anything. Its destination becomes a gain node for `mute` and
+    // `volume`, in front of the real one. `connectedNodes` already play
+    // into the real one.
+    const destination = audioContext.destination;
+    const gain = audioContext.createGain();
+    gain.connect(destination);
+    Object.defineProperty(audioContext, 'destination', { value: gain, configurable: true });
+
+    connectedNodes.forEach(function(node) {
+      try {
+        node.disconnect(destination);
+      } catch (e) {
+        // Wasn't connected to it
+      }
+      node.connect(gain);
+    });
+
+    this.__audioGains.set(audioContext, gain);
+    this._applyVolume();
+  }
+
+  _applyVolume() {
+    // An unset or unparsable `volume` plays at full volume
+    const volume = this.__options.volume;
+    const level = this.__options.mute ? 0
+      : Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 1;
+
+    this._getAudioContexts();
+    this.__audioGains.forEach(function(gain) {
+      gain.gain.value = level;
+    });
+  }
+
+  _attachAudioUnlock() {
+    // Browsers keep an AudioContext suspended until a user gesture on the
+    // page. Resume ours upon gestures within our component, unless paused.
+    if (!this.__isElement(this.__componentElement))
+      return;
+
+    const unlock = () => {
+      if (this.__status === 'running')
+        this._resumeAudio();
+    };
+
+    this.__listen(this.__componentElement, 'pointerdown', unlock, true);
+    this.__listen(this.__componentElement, 'keydown', unlock, true);
+  }
+
+  _suspendAudio() {
+    this._getAudioContexts().forEach(function(audioContext) {
+      audioContext.suspend().catch(function() {});
+    });
+  }
+
+  _resumeAudio() {
+    // Browsers refuse to resume audio before a user gesture
+    this._getAudioContexts().forEach(function(audioContext) {
+      if (audioContext.state === 'suspended')
+        audioContext.resume().catch(function() {});
+    });
+  }
+
+  _closeAudio() {
+    // Release the audio hardware. The contexts can't be used afterwards.
+    this._getAudioContexts().forEach(function(audioContext) {
+      audioContext.close().catch(function() {});
+    });
+    this.__audioGains.clear();
+  }
+
+////////////////////////////////////////////////////////////////////////
+// FUNCTION CALLS
+////////////////////////////////////////////////////////////////////////
+
+  _createFunctionWrappers() {
+    // Wrap each function declared in `options.functions`, e.g.
+    //
+    //     functions: {
+    //       sum: { returns: 'number', args: ['Float32Array', 'number'] }
+    //     }
+    //
+    // Strings and typed arrays are copied into the heap for the call
+    // and freed afterward. Typed arrays are copied back out, so the C
+    // function may write into them.
+    const functions = this.__options.functions;
+    this.__functions = {};
+
+    if (!functions)
+      return;
+
+    const module = this._moduleInstance;
+
+    ['cwrap', 'UTF8ToString', 'stringToUTF8', 'lengthBytesUTF8', 'HEAPU8'].forEach((name) => {
+      if (!module[name])
+        throw new Error(this.__getMissingExportMessage(name));
+    });
+
+    if (!module._malloc || !module._free)
+      throw new Error("Module._malloc is not exported. Add '_malloc' and '_free' to your linker flag -s EXPORTED_FUNCTIONS.");
+
+    Object.keys(functions).forEach((name) => {
+      this.__functions[name] = this.__createFunctionWrapper(name, functions[name]);
+    });
+  }
+
+  __createFunctionWrapper(name, { returns = null, args = [], async = false }) {
+    const module = this._moduleInstance;
+
+    if (!module['_' + name])
+      throw new Error(`Module._${name} is not exported. Add '_${name}' to your linker flag -s EXPORTED_FUNCTIONS.`);
+
+    // We pass strings and typed arrays to C as pointers
+    const argTypes = args.map(type => type === 'boolean' ? 'boolean' : 'number');
+    const func = module.cwrap(name, returns, argTypes, { async });
+    const onAudioContext = this.__onAudioContext;
+
+    return async function(...values) {
+      const pointers = [];
+      const copies = [];
+
+      try {
+        const marshalled = values.map(function(value, i) {
+          const type = args[i];
+
+          if (type === 'string') {
+            const size = module.lengthBytesUTF8(value) + 1;
+            const ptr = module._malloc(size);
+            pointers.push(ptr);
+            module.stringToUTF8(value, ptr, size);
+            return ptr;
+          }
+
+          if (typedArrayTypes[type]) {
+            if (!(value instanceof typedArrayTypes[type]))
+              value = typedArrayTypes[type].from(value);
+            const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            const ptr = module._malloc(bytes.length);
+            pointers.push(ptr);
+            module.HEAPU8.set(bytes, ptr);
+            copies.push({ bytes, ptr });
+            return ptr;
+          }
+
+          return value;
+        });
+
+        const result = await withAudioOwner(onAudioContext, () => func(...marshalled));
+
+        // Read HEAPU8 anew, as the heap may have grown during the call
+        copies.forEach(function({ bytes, ptr }) {
+          bytes.set(module.HEAPU8.subarray(ptr, ptr + bytes.length));
+        });
+
+        return result;
+      } finally {
+        pointers.forEach(ptr => module._free(ptr));
+      }
+    };
+  }
+
+////////////////////////////////////////////////////////////////////////
+// FILESYSTEM
+////////////////////////////////////////////////////////////////////////
+
+  _getFs() {
+    const FS = this._moduleInstance.FS;
+    if (!FS)
+      throw new Error(this.__getMissingExportMessage('FS'));
+    return FS;
+  }
+
+  async _preloadFiles() {
+    // Fetch the `files` manifest, which maps virtual filesystem paths
+    // to URLs, and write each file before main() may run.
+    const files = this.__options.files;
+    if (!files)
+      return;
+
+    const entries = Object.entries(files);
+    let loaded = 0;
+    const report = () => this.__dispatch('progress', {
+      status: 'Downloading files...', loaded, total: entries.length
+    });
+    report();
+
+    await Promise.all(entries.map(async ([path, url]) => {
+      const response = await fetch(url);
+      if (!response.ok)
+        throw new Error(`Failed to fetch ${url} for ${path}: ${response.status} ${response.statusText}`);
+      this.writeFile(path, await response.arrayBuffer());
+      loaded++;
+      report();
+    }));
+  }
+
+  async _mountPersistentStorage() {
+    // Mount each path in `persist` as IDBFS and load its contents from
+    // IndexedDB before main() may run.
+    const paths = this.__options.persist;
+    if (!paths || !paths.length)
+      return;
+
+    const FS = this._getFs();
+    const IDBFS = FS.filesystems.IDBFS;
+    if (!IDBFS)
+      throw new Error('IDBFS is not linked. Add the linker flag -lidbfs.js.');
+
+    // IDBFS names each database after its mount point. Prefix that name
+    // so that instances mounting the same path don't share a database.
+    const namespace = this.__getPersistNamespace();
+    if (persistOwners.has(namespace))
+      console.warn(`Another instance already keeps its persistent storage under "${namespace}", and they will overwrite each other's files. Give each instance its own id or persistNamespace.`);
+    else {
+      persistOwners.set(namespace, this);
+      this.__persistNamespace = namespace;
+    }
+
+    IDBFS.getDB = function(predefinedGetDB) {
+      return function(name, callback) {
+        predefinedGetDB.call(IDBFS, namespace + ':' + name, callback);
+      }
+    }(IDBFS.getDB);
+
+    paths.forEach(function(path) {
+      FS.mkdirTree(path);
+      FS.mount(IDBFS, {}, path);
+    });
+
+    await new Promise((resolve, reject) => {
+      FS.syncfs(true, (err) => err ? reject(err) : resolve());
+    });
+
+    this.__persistMounted = true;
+    this._startPersistSync();
+  }
+
+  _startPersistSync() {
+    const interval = this.__options.persistSyncInterval;
+    if (interval > 0)
+      this.__persistSyncTimer = setInterval(() => this.sync(), interval);
+
+    this.__persistVisibilityHandler = () => {
+      if (this._document.visibilityState === 'hidden')
+        this.sync();
+    };
+    this.__listen(this._document, 'visibilitychange', this.__persistVisibilityHandler);
+  }
+
+  _stopPersistSync() {
+    if (!this.__persistMounted)
+      return;
+
+    // Save one last time before the Module goes away
+    this.sync();
+
+    clearInterval(this.__persistSyncTimer);
+    this.__unlisten(this._document, 'visibilitychange', this.__persistVisibilityHandler);
+    this.__persistMounted = false;
+
+    if (persistOwners.get(this.__persistNamespace) === this)
+      persistOwners.delete(this.__persistNamespace);
+  }
+
+  _attachFileDropHandler() {
+    const dropDirectory = this.__options.dropDirectory;
+
+    if (!dropDirectory || !(this.__isElement(this.__canvasElement)))
+      return;
+
+    if (!this._moduleInstance.FS) {
+      console.warn(this.__getMissingExportMessage('FS') + ' Dropped files will be ignored.');
+      return;
+    }
+
+    this.__listen(this.__canvasElement, 'dragover', function(evt) {
+      // Required for the element to accept drops
+      evt.preventDefault();
+    });
+
+    this.__listen(this.__canvasElement, 'drop', async (evt) => {
+      evt.preventDefault();
+
+      // E.g. a missing `dropDirectory` or a full filesystem. `paths` are
+      // the files written before the error.
+      const paths = [];
+      try {
+        for (const file of evt.dataTransfer.files) {
+          const path = dropDirectory.replace(/\/$/, '') + '/' + file.name;
+          this.writeFile(path, await file.arrayBuffer());
+          paths.push(path);
+        }
+      } catch (error) {
+        this.__dispatch('filedroperror', { error, paths });
+        return;
+      }
+
+      this.__dispatch('filedrop', { paths });
+    });
+  }
+
 ////////////////////////////////////////////////////////////////////////
 // EVENT HANDLER PATCHES
 ////////////////////////////////////////////////////////////////////////
@@ -154,9 +1391,20 @@ export default class ModuleManager extends Manager {
     // Patch global events so they can be scoped to our component.
     // We do this via patching JSEvents.registerOrRemoveHandler.
 
+    if (!this.__options.patchEventHandlers || !this._hasExport('JSEvents'))
+      return;
+
+    // Key handlers that we scoped, see _retargetKeyEventHandlers()
+    this.__keyEventHandlers = new WeakSet();
+
+    // With `debugListeners`, see listener-tracker.js
+    const tracker = this.__listenerTracker;
+
     const patchKeyEventHandler = this._patchKeyEventHandler.bind(this);
     const patchResizeEventHandler = this._patchResizeEventHandler.bind(this);
     const patchFullscreenchangedEventHandler = this._patchFullscreenchangedEventHandler.bind(this);
+    const patchPointerEventHandler = this._patchPointerEventHandler.bind(this);
+    const patchPointerLockEventHandler = this._patchPointerLockEventHandler.bind(this);
 
     this._moduleInstance.JSEvents.registerOrRemoveHandler = function (predefinedFunction) {
       return function(eventHandler) {
@@ -164,7 +1412,12 @@ export default class ModuleManager extends Manager {
         // They return `true` when the patch function encounters its corresponding event type..
         patchKeyEventHandler(eventHandler)
           || patchResizeEventHandler(eventHandler)
-          || patchFullscreenchangedEventHandler(eventHandler);
+          || patchFullscreenchangedEventHandler(eventHandler)
+          || patchPointerEventHandler(eventHandler)
+          || patchPointerLockEventHandler(eventHandler);
+
+        if (tracker)
+          trackHandler(tracker, eventHandler);
 
         predefinedFunction(eventHandler);
       }
@@ -176,7 +1429,7 @@ export default class ModuleManager extends Manager {
 ////////////////////////////////////////////////////////////////////////
 
   _patchKeyEventHandler(eventHandler) {
-    if (eventHandler.target !== window
+    if (eventHandler.target !== this._window
         || !eventHandler.eventTypeString.startsWith('key'))
       return false;
 
@@ -184,21 +1437,124 @@ export default class ModuleManager extends Manager {
     if (this.__options.captureFocusOnComponent)
       eventHandler.target = this.__componentElement;
 
-    // To respect a11y, only handle the TAB key when requested. We default
-    // to ignore the TAB key when not handling events globally.
-    if (!this.__options.captureTabKey) {
-      eventHandler.handlerFunc = function(predefinedHandlerFunc) {
-        return function(evt) {
-          if (evt.keyCode !== 9)
-            predefinedHandlerFunc(evt);
-        }
-      }(eventHandler.handlerFunc);
-    }
+    // Leave keys to the browser per `captureTabKey` and `keymap`. Emscripten
+    // prevents the default action when the program handles a key, unless
+    // the keymap decides.
+    const getKeyPolicy = this.__getKeyPolicy.bind(this);
+    eventHandler.handlerFunc = function(predefinedHandlerFunc) {
+      return function(evt) {
+        const policy = getKeyPolicy(evt);
+        if (!policy.pass)
+          return;
+
+        // Hand Emscripten a view of the event whose preventDefault() does
+        // nothing, rather than changing the event that other listeners see
+        if (policy.preventDefault === false)
+          predefinedHandlerFunc(withoutPreventDefault(evt));
+        else
+          predefinedHandlerFunc(evt);
+
+        if (policy.preventDefault)
+          evt.preventDefault();
+      }
+    }(eventHandler.handlerFunc);
+
+    this.__keyEventHandlers.add(eventHandler);
 
     // Signal that we operated on this eventHandler
     return true;
   }
 
+  _retargetKeyEventHandlers() {
+    // Move the key listeners that we scoped between the window and our
+    // component after `captureFocusOnComponent` changed. JSEvents finds
+    // them by `target` when it removes them.
+    if (!this.__keyEventHandlers)
+      return;
+
+    const target = this.__options.captureFocusOnComponent ? this.__componentElement : this._window;
+
+    this._moduleInstance.JSEvents.eventHandlers.forEach((eventHandler) => {
+      if (!this.__keyEventHandlers.has(eventHandler) || eventHandler.target === target)
+        return;
+
+      eventHandler.target.removeEventListener(eventHandler.eventTypeString, eventHandler.eventListenerFunc, eventHandler.useCapture);
+      eventHandler.target = target;
+      target.addEventListener(eventHandler.eventTypeString, eventHandler.eventListenerFunc, eventHandler.useCapture);
+    });
+  }
+
+////////////////////////////////////////////////////////////////////////
+// POINTER AND GAMEPAD EVENTS
+////////////////////////////////////////////////////////////////////////
+
+  _patchPointerEventHandler(eventHandler) {
+    // Emscripten and SDL listen for some mouse, wheel and touch events on
+    // window or document, e.g. mouseup to end a drag outside of the canvas.
+    // Only pass on the ones that concern our component.
+
+    if ((eventHandler.target !== this._window && eventHandler.target !== this._document)
+        || !pointerEventPattern.test(eventHandler.eventTypeString))
+      return false;
+
+    const eventConcernsComponent = this.__eventConcernsComponent.bind(this);
+
+    eventHandler.handlerFunc = function(predefinedHandlerFunc) {
+      return function(evt) {
+        if (eventConcernsComponent(evt))
+          predefinedHandlerFunc(evt);
+      }
+    }(eventHandler.handlerFunc);
+
+    return true;
+  }
+
+  _patchPointerLockEventHandler(eventHandler) {
+    // Only pass on pointer lock changes to and from our canvas
+
+    if (eventHandler.target !== this._document
+        || !eventHandler.eventTypeString.endsWith('pointerlockchange'))
+      return false;
+
+    const documentTarget = this._document;
+    const canvasElement = this.__canvasElement;
+    let wasLocked = false;
+
+    eventHandler.handlerFunc = function(predefinedHandlerFunc) {
+      return function(evt) {
+        const isLocked = documentTarget.pointerLockElement === canvasElement;
+        if (isLocked || wasLocked)
+          predefinedHandlerFunc(evt);
+        wasLocked = isLocked;
+      }
+    }(eventHandler.handlerFunc);
+
+    return true;
+  }
+
+  _patchGamepadState() {
+    // Emscripten samples gamepads with navigator.getGamepads(), which
+    // doesn't care about focus. Only the most recently focused instance
+    // reads their state; the others see no gamepads. Connection events
+    // still reach every instance.
+
+    if (!this._hasExport('JSEvents'))
+      return;
+
+    const JSEvents = this._moduleInstance.JSEvents;
+    let lastGamepadState = JSEvents.lastGamepadState;
+
+    Object.defineProperty(JSEvents, 'lastGamepadState', {
+      configurable: true,
+      get: () => {
+        return (gamepadOwner === this || !lastGamepadState) ? lastGamepadState : [];
+      },
+      set: (value) => {
+        lastGamepadState = value;
+      }
+    });
+  }
+
 ////////////////////////////////////////////////////////////////////////
 // CANVAS RESIZE EVENTS
 ////////////////////////////////////////////////////////////////////////
@@ -212,7 +1568,7 @@ export default class ModuleManager extends Manager {
     const event = new FocusEvent('resize', {
       'relatedTarget': resizeEntry.target
     });
-    window.dispatchEvent(event);
+    this._window.dispatchEvent(event);
   }
 
   _patchResizeEventHandler(eventHandler) {
@@ -230,17 +1586,23 @@ export default class ModuleManager extends Manager {
     // hand over Emscripten's `userData` in `__registerUiEventCallback()`
     // without this handler.
 
-    if (eventHandler.target !== window
+    if (eventHandler.target !== this._window
         || eventHandler.eventTypeString !== 'resize')
       return false;
 
+    const manager = this;
     const options = this.__options;
     const canvasElement = this.__canvasElement;
-    const fixCanvasSizing = this._fixCanvasSizing.bind(this);
+    const isFullscreen = this.__isFullscreen.bind(this);
+    const updateCanvasSizing = this._updateCanvasSizing.bind(this);
     const fixCanvasViewport = this._fixCanvasViewport.bind(this);
 
     eventHandler.handlerFunc = function(predefinedHandlerFunc) {
       return function(evt) {
+        // The hidden canvas has no size, see setCanvasVisible()
+        if (manager.__canvasHidden)
+          return;
+
         if (options.resizeCanvasOnElementSizing) {
           // Only change canvas content dimensions when our component's canvas is resized
           if (evt.relatedTarget === canvasElement)
@@ -252,12 +1614,9 @@ export default class ModuleManager extends Manager {
         else
           predefinedHandlerFunc(evt);
 
-        // Also fix canvas sizing if entering fullscreen
-        if (options.resizeCanvasOnFullscreenChange
-            && document.fullscreenElement === canvasElement) {
-          fixCanvasSizing();
-          fixCanvasViewport();
-        }
+        // Also fix canvas sizing while in fullscreen
+        if (options.resizeCanvasOnFullscreenChange && isFullscreen())
+          updateCanvasSizing();
         // If resizeCanvasOnFullscreenChange is disabled, we still want
         // to fix the viewport if resizeCanvasOnElementSizing is enabled
         else if (options.resizeCanvasOnElementSizing)
@@ -270,34 +1629,23 @@ export default class ModuleManager extends Manager {
   }
 
   _patchFullscreenchangedEventHandler(eventHandler) {
-    // Here, we catch fullscreen exits and fix the content size of the
-    // canvas element. Fullscreen enters are handled by patchResizeEventHandler().
+    // Here, we fix the content size of the canvas element after Module
+    // handles fullscreen changes, which may resize the canvas on its own.
+    // Our own fullscreenchange listener sizes the canvas when Module
+    // does not listen.
 
-    if (!this.__options.resizeCanvasOnFullscreenChange)
-      return;
-
-    if (eventHandler.target !== document
+    if (eventHandler.target !== this._document
         || !eventHandler.eventTypeString.endsWith('fullscreenchange'))
       return false;
 
-    const canvasElement = this.__canvasElement;
-    const fixCanvasSizing = this._fixCanvasSizing.bind(this);
-    const fixCanvasViewport = this._fixCanvasViewport.bind(this);
+    const options = this.__options;
+    const updateCanvasSizing = this._updateCanvasSizing.bind(this);
 
     eventHandler.handlerFunc = function(predefinedHandlerFunc) {
       return function(evt) {
         predefinedHandlerFunc(evt);
-        
-        const canvasWasFullscreen =
-          (!document.fullscreenElement
-            && (evt.target === canvasElement 
-                || evt.srcElement === canvasElement)
-          );
-
-        if (canvasWasFullscreen) {
-          fixCanvasSizing();
-          fixCanvasViewport();
-        }
+        if (options.resizeCanvasOnFullscreenChange)
+          updateCanvasSizing();
       }
     }(eventHandler.handlerFunc);
 
@@ -305,23 +1653,28 @@ export default class ModuleManager extends Manager {
     return true;
   }
 
-  _patchGlViewport() {
+  _patchGlContexts() {
     // We patch glViewport() to resolve cases where it is called without
     // adjusting for window.devicePixelRatio. We do so via patching
-    // Module.GL.createContext() so that all created contexts can have the
-    // patched behavior.
+    // Module.GL.createContext() so that all created contexts, WebGL 1 or 2,
+    // can have the patched behavior. This is also where we add our
+    // context attributes and count draw calls.
 
-    if (!this.__options.adjustViewportByDevicePixelRatio)
+    if (!this.__options.patchGlContexts || !this._hasExport('GL'))
       return;
 
     const GL = this._moduleInstance.GL;
-
-    if (!GL)
-      return;
+    const options = this.__options;
+    const windowTarget = this._window;
+    const countDrawCalls = this.__countDrawCalls.bind(this);
 
     let patchedCreateContext = function (predefinedCreateContext) {
-      return function(...args) {
-        let handle = predefinedCreateContext.apply(GL, args);
+      return function(canvas, webGLContextAttributes, ...args) {
+        // Keep the last frame readable, for captureFrame() at any time
+        if (options.preserveDrawingBuffer)
+          webGLContextAttributes = { ...webGLContextAttributes, preserveDrawingBuffer: true };
+
+        let handle = predefinedCreateContext.call(GL, canvas, webGLContextAttributes, ...args);
 
         if (!handle)
           return handle;
@@ -331,10 +1684,12 @@ export default class ModuleManager extends Manager {
         if (!gl)
           return handle;
 
+        countDrawCalls(gl);
+
         let patchedViewport = function(predefinedViewport) {
           return function(x0, y0, w0, h0) {
-            const dpr = window.devicePixelRatio;
-            if (dpr !== 1) {
+            const dpr = windowTarget.devicePixelRatio;
+            if (dpr !== 1 && options.adjustViewportByDevicePixelRatio) {
               const w = Math.floor(w0 * dpr);
               const h = Math.floor(h0 * dpr);
               const roundingError = 1;
@@ -357,27 +1712,124 @@ export default class ModuleManager extends Manager {
     GL.createContext = patchedCreateContext;
   }
 
-  _fixCanvasSizing() {
-    // set our canvas content size manually because
+  _updateCanvasSizing() {
+    // Set our canvas's content size, and its CSS size in fullscreen,
+    // because
     // emscripten-ports/SDL2/src/video/emscripten/SDL_emscriptenevents.c
     // Emscripten_HandleResize() does not update the content size
     // when in fullscreen.
 
-    const rect = this.__canvasElement.getBoundingClientRect();
-    const dpr = window.devicePixelRatio;
+    const canvas = this.__canvasElement;
+    const dpr = this._window.devicePixelRatio;
+
+    if (!this.__isFullscreen()) {
+      if (!this.__nativeCanvasSize)
+        return;
+
+      // Upon exiting fullscreen, fit the content to the canvas again
+      this.__nativeCanvasSize = null;
+      this.__applyCanvasStyle(null);
+
+      const rect = canvas.getBoundingClientRect();
+      canvas.width = rect.width * dpr;
+      canvas.height = rect.height * dpr;
+      this._fixCanvasViewport();
+      return;
+    }
+
+    // Upon entering fullscreen, remember the program's resolution
+    if (!this.__nativeCanvasSize)
+      this.__nativeCanvasSize = { width: canvas.width, height: canvas.height };
 
-    this.__canvasElement.width = rect.width * dpr;
-    this.__canvasElement.height = rect.height * dpr;
+    const container = this.__getCanvasContainerRect();
+    const layout = this.__computeCanvasLayout(container, dpr, this.__nativeCanvasSize);
+
+    this.__applyCanvasStyle({
+      width: layout.cssWidth + 'px',
+      height: layout.cssHeight + 'px',
+      margin: `${(container.height - layout.cssHeight) / 2}px auto 0`,
+      display: 'block',
+      imageRendering: this.__options.fullscreenScaling === 'integer' ? 'pixelated' : ''
+    });
+
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+    this._fixCanvasViewport();
   }
 
   _fixCanvasViewport() {
     // Fix the GL viewport
-    const gl = this.__canvasElement.getContext('webgl');
+    const gl = this._getGlContext();
 
-    if (gl)
+    if (gl && !gl.isContextLost())
       gl.viewport(0, 0, this.__canvasElement.width, this.__canvasElement.height);
   }
 
+  _getGlContext() {
+    // The WebGL or WebGL2 context that Module created on our canvas. We
+    // don't ask the canvas, which would create a context if Module has
+    // none, or fail if Module's is of another version.
+
+    if (!this._hasExport('GL'))
+      return null;
+
+    const canvasElement = this.__canvasElement;
+    const context = Object.values(this._moduleInstance.GL.contexts).find(function(context) {
+      return context && context.GLctx && context.GLctx.canvas === canvasElement;
+    });
+
+    return context ? context.GLctx : null;
+  }
+
+////////////////////////////////////////////////////////////////////////
+// CONTEXT LOSS
+////////////////////////////////////////////////////////////////////////
+
+  _attachContextLossHandlers() {
+    // The browser may drop our WebGL context, e.g. on a GPU reset. We
+    // pause the main loop until the context is restored. Module's GL
+    // resources are gone by then, so unless the program recreates them
+    // itself, the component resets us when resetOnContextLoss is set.
+
+    if (!this.__canvasElement)
+      return;
+
+    this.__contextLostHandler = async (evt) => {
+      // Without this, the browser won't restore the context
+      evt.preventDefault();
+
+      this.__dispatch('contextlost');
+
+      if (this.__status === 'running') {
+        await this.pauseMainLoop();
+        this.__contextLostPaused = true;
+      }
+    };
+
+    this.__contextRestoredHandler = async () => {
+      this.__dispatch('contextrestored');
+
+      if (this.__contextLostPaused && !this.__options.resetOnContextLoss) {
+        this.__contextLostPaused = false;
+        await this.resumeMainLoop();
+      }
+    };
+
+    this.__listen(this.__canvasElement, 'webglcontextlost', this.__contextLostHandler);
+    this.__listen(this.__canvasElement, 'webglcontextrestored', this.__contextRestoredHandler);
+  }
+
+  _detachContextLossHandlers() {
+    // Also before we lose the context on purpose, upon abort
+    if (this.__contextLostHandler)
+      this.__unlisten(this.__canvasElement, 'webglcontextlost', this.__contextLostHandler);
+    if (this.__contextRestoredHandler)
+      this.__unlisten(this.__canvasElement, 'webglcontextrestored', this.__contextRestoredHandler);
+
+    this.__contextLostHandler = null;
+    this.__contextRestoredHandler = null;
+  }
+
 ////////////////////////////////////////////////////////////////////////
 // ABORT HANDLER
 ////////////////////////////////////////////////////////////////////////
@@ -385,16 +1837,27 @@ export default class ModuleManager extends Manager {
   _getAbortHandler() {
     // In this scope, `this` refers to our class
     const disposeGlContexts = this.__disposeGlContexts.bind(this);
+    const detachContextLossHandlers = this._detachContextLossHandlers.bind(this);
+    const closeAudio = this._closeAudio.bind(this);
     const options = this.__options;
     const initialModule = this.__initialModule;
+    const dispatch = this.__dispatch.bind(this);
+    const setState = this.__setState.bind(this);
 
     return function(what) {
       // In this scope, `this` refers to the Module object in which this handler lives
       let module = this;
 
+      detachContextLossHandlers();
+
       if (options.disposeCanvasOnAbort)
         disposeGlContexts(module);
 
+      closeAudio();
+
+      setState('status', 'aborted');
+      dispatch('abort', { reason: what });
+
       // If user supplied their own function in `__initialModule`
       if (initialModule.onAbort instanceof Function)
         initialModule.onAbort(what);
@@ -0,0 +1,622 @@
+import { default as Manager } from './manager.js';
+
+// WorkerManager runs a Module inside a Web Worker (see worker.js) and
+// renders to our canvas through an OffscreenCanvas, so that a busy main
+// loop doesn't block the page.
+//
+// Module is loaded in the worker from `options.worker.moduleUrl`, so your
+// program must be compiled with -s ENVIRONMENT='web,worker'.
+//
+// We capture input events on the main thread and forward them to the
+// worker, where ModuleManager's usual scoping patches apply. Methods go
+// through a message channel and return promises.
+
+// Events that we forward, by the target that Module listens on
+const forwardedEvents = {
+  component: ['keydown', 'keyup', 'keypress', 'focus', 'blur'],
+  canvas: [
+    'mousedown', 'mouseup', 'mousemove', 'mouseenter', 'mouseleave',
+    'click', 'dblclick', 'wheel',
+    'touchstart', 'touchmove', 'touchend', 'touchcancel'
+  ],
+  document: [
+    'mouseup', 'fullscreenchange', 'webkitfullscreenchange',
+    'visibilitychange', 'pointerlockchange'
+  ],
+  // Only while listening globally, i.e. captureFocusOnComponent is false
+  window: ['keydown', 'keyup', 'keypress']
+};
+
+// Event properties that Emscripten reads
+const eventProperties = [
+  'key', 'code', 'keyCode', 'charCode', 'which', 'location', 'repeat',
+  'ctrlKey', 'shiftKey', 'altKey', 'metaKey',
+  'button', 'buttons', 'clientX', 'clientY', 'screenX', 'screenY',
+  'pageX', 'pageY', 'movementX', 'movementY',
+  'deltaX', 'deltaY', 'deltaZ', 'deltaMode', 'timeStamp'
+];
+
+const touchProperties = [
+  'identifier', 'clientX', 'clientY', 'screenX', 'screenY', 'pageX', 'pageY'
+];
+
+export default class WorkerManager extends Manager {
+  constructor(
+    componentElement, canvasElement, consoleElement,
+    userOptions
+  ) {
+    super(
+      componentElement, canvasElement, consoleElement,
+      userOptions
+    );
+
+    // Calls awaiting a result from the worker, by message id
+    this.__pendingCalls = new Map();
+    this.__callCount = 0;
+  }
+
+////////////////////////////////////////////////////////////////////////
+// PUBLIC PROPERTIES
+////////////////////////////////////////////////////////////////////////
+
+  static async initialize(
+    moduleFactory,
+    componentElement, canvasElement, consoleElement,
+    userOptions
+  ) {
+    // `moduleFactory` is unused: the worker loads `options.worker.moduleUrl`.
+    const manager = new WorkerManager(
+      componentElement, canvasElement, consoleElement,
+      userOptions
+    );
+
+    await manager._initializeModule();
+
+    return manager;
+  }
+
+  async callMain(args) {
+    return await this.__call('callMain', args);
+  }
+
+  async abort(what = 'Aborted by JS component.') {
+    if (!this.__worker)
+      return;
+
+    try {
+      await this.__call('abort', what);
+    } catch(e) {
+      // This API assumes intentional aborting, so fail silently.
+    }
+
+    this._terminate();
+  }
+
+  async dispose(reason = 'Disposed by JS component.') {
+    // Terminating the worker releases the Module, its heap and the
+    // listeners that it attached there. We release ours here.
+    if (this.__status !== 'aborted' && this.__status !== 'exited')
+      await this.abort(reason);
+
+    if (this.__worker)
+      this._terminate();
+
+    if (this.__recorder)
+      await this.__stopRecording();
+
+    this.__removeListeners();
+    this.__applyCanvasStyle(null);
+    this.__discardStateLines();
+
+    // The worker's JSEvents handlers went with it
+    this.__disposeListenerTracker();
+  }
+
+  async pauseMainLoop() {
+    this.__autoPaused = false;
+    return await this.__call('pauseMainLoop');
+  }
+
+  async resumeMainLoop() {
+    this.__autoPaused = false;
+    return await this.__call('resumeMainLoop');
+  }
+
+  async requestFullscreen() {
+    // Fullscreen needs a user gesture, so it must be requested here
+    return await this.__requestFullscreen();
+  }
+
+  async exitFullscreen() {
+    if (this.__isFullscreen())
+      return await document.exitFullscreen();
+  }
+
+  async captureFrame(captureOptions) {
+    return await this.__call('captureFrame', captureOptions);
+  }
+
+  async getMetrics() {
+    return await this.__call('getMetrics');
+  }
+
+  async saveCheckpoint() {
+    return await this.__call('saveCheckpoint');
+  }
+
+  async restoreCheckpoint(checkpoint) {
+    return await this.__call('restoreCheckpoint', checkpoint);
+  }
+
+  async startRecording(recordingOptions) {
+    return this.__startRecording(recordingOptions);
+  }
+
+  async stopRecording() {
+    return await this.__stopRecording();
+  }
+
+  async requestPointerLock() {
+    // Likewise for pointer lock
+    return await this.__canvasElement.requestPointerLock();
+  }
+
+  async exitPointerLock() {
+    if (document.pointerLockElement === this.__canvasElement)
+      document.exitPointerLock();
+  }
+
+  async updateOptions(userOptions) {
+    // We read some options here too, e.g. to decide which events to forward
+    const changed = this.__updateOptions(userOptions);
+    if (!changed.length)
+      return;
+
+    const changes = {};
+    changed.forEach((name) => {
+      changes[name] = this.__options[name];
+    });
+    return await this.__call('updateOptions', changes);
+  }
+
+  async setCanvasVisible(visible) {
+    if (!visible) {
+      await this.exitPointerLock();
+      if (document.fullscreenElement === this.__canvasElement)
+        await this.exitFullscreen();
+    }
+    return await this.__call('setCanvasVisible', visible);
+  }
+
+  onResizeCanvas() {
+    this.__post({ type: 'resize', environment: this.__getEnvironment() });
+  }
+
+  writeStdin(text) {
+    return this.__call('writeStdin', text);
+  }
+
+  closeStdin() {
+    return this.__call('closeStdin');
+  }
+
+  writeFile(path, data) {
+    return this.__call('writeFile', path, data);
+  }
+
+  readFile(path, opts) {
+    return this.__call('readFile', path, opts);
+  }
+
+  listDir(path) {
+    return this.__call('listDir', path);
+  }
+
+  mkdir(path) {
+    return this.__call('mkdir', path);
+  }
+
+  unlink(path) {
+    return this.__call('unlink', path);
+  }
+
+  sync() {
+    return this.__call('sync');
+  }
+
+  async run(request) {
+    return await this.__call('run', request);
+  }
+
+  callFunction(name, ...args) {
+    // Typed arrays are copied to the worker, so writes by the C function
+    // are not copied back.
+    return this.__call('callFunction', name, ...args);
+  }
+
+  getExport() {
+    throw new Error('Module exports can\'t be reached across the worker. Use options.functions instead.');
+  }
+
+  async readFileAsBlob(path, type = 'application/octet-stream') {
+    return new Blob([await this.readFile(path)], { type });
+  }
+
+  async downloadFile(path, filename = path.split('/').pop()) {
+    const blob = await this.readFileAsBlob(path);
+    this.__saveBlob(blob, filename);
+    return blob;
+  }
+
+////////////////////////////////////////////////////////////////////////
+// INITIALIZATION MEHTODS
+////////////////////////////////////////////////////////////////////////
+
+  async _initializeModule() {
+    const workerOptions = this.__options.worker;
+
+    if (!workerOptions.url || !workerOptions.moduleUrl)
+      throw new Error('options.worker needs the `url` of worker.js and the `moduleUrl` of your program JS.');
+
+    if (!(this.__canvasElement.transferControlToOffscreen instanceof Function))
+      throw new Error('This browser does not support OffscreenCanvas, which options.worker requires.');
+
+    this.__worker = new Worker(workerOptions.url);
+    this.__worker.onmessage = this._onWorkerMessage.bind(this);
+    this.__worker.onerror = this._onWorkerError.bind(this);
+
+    const canvas = this.__canvasElement.transferControlToOffscreen();
+
+    this.__clearConsole();
+
+    const initialization = this.__request({
+      type: 'initialize',
+      canvas,
+      options: this.__getWorkerOptions(),
+      environment: this.__getEnvironment()
+    }, [canvas]);
+
+    this._forwardEvents();
+    this._attachFocusInvokers();
+    this.__attachFocusRelease();
+    this.__attachTextInput();
+    this._attachFileDropHandler();
+
+    await initialization;
+    this.__startVisibilityTracking();
+  }
+
+  __getWorkerOptions() {
+    // Functions can't be posted to the worker. We call the ones that we
+    // know of, e.g. `print`, from here when the worker reports them.
+    const initialModule = {};
+    Object.keys(this.__initialModule).forEach((key) => {
+      if (!(this.__initialModule[key] instanceof Function))
+        initialModule[key] = this.__initialModule[key];
+    });
+
+    // `state` stays here; the worker posts its updates
+    const { state, ...options } = this.__options;
+
+    return {
+      ...options,
+      initialModule,
+      // For the default `persistNamespace`, which the worker derives
+      componentId: this.__componentElement.id,
+      worker: {
+        ...this.__options.worker,
+        moduleUrl: new URL(this.__options.worker.moduleUrl, document.baseURI).href
+      }
+    };
+  }
+
+  _terminate(error = new Error('The worker was terminated.')) {
+    this.__stopVisibilityTracking();
+
+    this.__removeListeners();
+
+    this.__worker.terminate();
+    this.__worker = null;
+
+    this.__pendingCalls.forEach(function({ reject }) {
+      reject(error);
+    });
+    this.__pendingCalls.clear();
+  }
+
+////////////////////////////////////////////////////////////////////////
+// MESSAGE CHANNEL
+////////////////////////////////////////////////////////////////////////
+
+  __post(message, transfer = []) {
+    if (this.__worker)
+      this.__worker.postMessage(message, transfer);
+  }
+
+  __request(message, transfer) {
+    // Resolves with the worker's result for `message`
+    if (!this.__worker)
+      return Promise.reject(new Error('The worker was terminated.'));
+
+    const id = this.__callCount++;
+    const result = new Promise((resolve, reject) => {
+      this.__pendingCalls.set(id, { resolve, reject });
+    });
+
+    this.__post({ ...message, id }, transfer);
+
+    return result;
+  }
+
+  __call(method, ...args) {
+    // Resolves with the return value of `method` in the worker
+    return this.__request({ type: 'call', method, args });
+  }
+
+  _onWorkerMessage(e) {
+    const message = e.data;
+
+    switch (message.type) {
+      case 'result': {
+        const call = this.__pendingCalls.get(message.id);
+        if (!call)
+          return;
+        this.__pendingCalls.delete(message.id);
+        if (message.error !== undefined)
+          call.reject(new Error(message.error));
+        else
+          call.resolve(message.value);
+        return;
+      }
+
+      case 'event':
+        this._onWorkerEvent(message.event, message.detail);
+        return;
+
+      case 'state':
+        if (message.method === '__setState')
+          this.__setState(...message.args);
+        else if (message.method === '__appendStateLine')
+          this.__appendStateLine(...message.args);
+        return;
+
+      case 'textInput':
+        // The program called Module.startTextInput() or the like
+        if (message.method === '__setTextInput')
+          this.__setTextInput(...message.args);
+        else if (message.method === '__copyToClipboard')
+          this.__copyToClipboard(...message.args);
+        return;
+
+      case 'canvasStyle':
+        // The worker sizes the canvas in fullscreen, but only we can style it
+        this.__applyCanvasStyle(message.styles);
+        return;
+    }
+  }
+
+  _onWorkerError(e) {
+    // The worker script failed to load or threw outside of Module, e.g.
+    // a 404, a syntax error or a CSP violation. Such a worker can't be
+    // used, so settle the calls that wait for it, such as initialization.
+    const reason = new Error(`Emscripten worker error: ${e.message || 'the worker script could not be loaded.'}`);
+    console.error(reason.message);
+
+    if (!this.__worker)
+      return;
+
+    const loading = this.__status === 'loading';
+    this._terminate(reason);
+    this.__setState('status', 'aborted');
+
+    // A failed initialize() reports itself
+    if (!loading)
+      this._onWorkerEvent('abort', { reason });
+  }
+
+  _onWorkerEvent(type, detail) {
+    // Call the user's `initialModule` handlers, which could not be posted
+    const initialModule = this.__initialModule;
+
+    switch (type) {
+      case 'print':
+        this.__writeToConsole(detail.text, 'stdout');
+        if (initialModule.print instanceof Function)
+          initialModule.print(detail.text);
+        break;
+
+      case 'printErr':
+        this.__writeToConsole(detail.text, 'stderr');
+        if (initialModule.printErr instanceof Function)
+          initialModule.printErr(detail.text);
+        break;
+
+      case 'exit':
+        if (initialModule.onExit instanceof Function)
+          initialModule.onExit(detail.code);
+        break;
+
+      case 'abort':
+        if (initialModule.onAbort instanceof Function)
+          initialModule.onAbort(detail.reason);
+        break;
+    }
+
+    this.__dispatch(type, detail);
+  }
+
+////////////////////////////////////////////////////////////////////////
+// EVENT FORWARDING
+////////////////////////////////////////////////////////////////////////
+
+  _forwardEvents() {
+    const targets = {
+      component: this.__componentElement,
+      canvas: this.__canvasElement,
+      document: document,
+      window: window
+    };
+
+    // Like ModuleManager, pass on a mouseup outside of our component only
+    // when it ends a drag that started within it.
+    this.__listen(window, 'mousedown', this.__onPressStart.bind(this), true);
+
+    Object.keys(forwardedEvents).forEach((name) => {
+      if (!targets[name])
+        return;
+
+      forwardedEvents[name].forEach((type) => {
+        this.__listen(targets[name], type, (evt) => {
+          if (name === 'document' && type === 'mouseup' && !this.__eventConcernsComponent(evt))
+            return;
+
+          if (name === 'window' && this.__options.captureFocusOnComponent)
+            return;
+
+          if (type.startsWith('key') && !this.__getKeyPolicy(evt).pass)
+            return;
+
+          this.__preventDefault(evt);
+          this.__post({
+            type: 'event',
+            target: name,
+            event: type,
+            properties: this.__serializeEvent(evt),
+            environment: this.__getEnvironment()
+          });
+        }, { passive: false });
+      });
+    });
+  }
+
+  __preventDefault(evt) {
+    // Module can't call preventDefault() from the worker in time, so we
+    // decide here.
+    switch (evt.type) {
+      case 'keydown':
+      case 'keyup':
+      case 'keypress': {
+        // Per `captureTabKey` and `keymap`, see __getKeyPolicy()
+        const policy = this.__getKeyPolicy(evt);
+        if (!policy.pass || policy.preventDefault === false)
+          return;
+        if (policy.preventDefault) {
+          evt.preventDefault();
+          return;
+        }
+        // Printable keys need their default action to produce `keypress`
+        if (evt.type === 'keydown' && evt.key.length === 1 && !evt.ctrlKey && !evt.metaKey)
+          return;
+        evt.preventDefault();
+        break;
+      }
+
+      case 'wheel':
+      case 'touchstart':
+      case 'touchmove':
+        evt.preventDefault();
+        break;
+    }
+  }
+
+  __serializeEvent(evt) {
+    const properties = {};
+
+    eventProperties.forEach(function(key) {
+      if (evt[key] !== undefined)
+        properties[key] = evt[key];
+    });
+
+    if (evt.touches) {
+      const serializeTouches = (touches) => Array.from(touches).map((touch) => {
+        const serialized = { target: { __target: 'canvas' } };
+        touchProperties.forEach(function(key) {
+          serialized[key] = touch[key];
+        });
+        return serialized;
+      });
+      properties.touches = serializeTouches(evt.touches);
+      properties.changedTouches = serializeTouches(evt.changedTouches);
+      properties.targetTouches = serializeTouches(evt.targetTouches);
+    }
+
+    // The worker replays the event on the target it was forwarded for,
+    // but fullscreen handlers also check which element it came from.
+    if (evt.target === this.__canvasElement)
+      properties.srcElement = { __target: 'canvas' };
+
+    return properties;
+  }
+
+  __getEnvironment() {
+    const rect = this.__canvasElement.getBoundingClientRect();
+    const containerRect = this.__getCanvasContainerRect();
+
+    return {
+      devicePixelRatio: window.devicePixelRatio,
+      innerWidth: window.innerWidth,
+      innerHeight: window.innerHeight,
+      outerWidth: window.outerWidth,
+      outerHeight: window.outerHeight,
+      pageXOffset: window.pageXOffset,
+      pageYOffset: window.pageYOffset,
+      bodyWidth: document.body.clientWidth,
+      bodyHeight: document.body.clientHeight,
+      canvasRect: {
+        x: rect.x, y: rect.y,
+        left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom,
+        width: rect.width, height: rect.height
+      },
+      containerRect: {
+        width: containerRect.width, height: containerRect.height
+      },
+      fullscreen: this.__isFullscreen(),
+      pointerLocked: document.pointerLockElement === this.__canvasElement,
+      visibilityState: document.visibilityState
+    };
+  }
+
+  _attachFocusInvokers() {
+    // Invoke keyboard focus on our component, like ModuleManager does
+    const options = this.__options;
+    const focusComponent = this.__focusComponent.bind(this);
+    const handler = function(evt) {
+      if (options.captureFocusOnComponent)
+        focusComponent(evt);
+    };
+
+    this.__listen(this.__canvasElement, 'mousedown', handler, true);
+    this.__listen(this.__canvasElement, 'touchstart', handler, true);
+  }
+
+  _attachFileDropHandler() {
+    const dropDirectory = this.__options.dropDirectory;
+
+    if (!dropDirectory)
+      return;
+
+    this.__listen(this.__canvasElement, 'dragover', function(evt) {
+      // Required for the element to accept drops
+      evt.preventDefault();
+    });
+
+    this.__listen(this.__canvasElement, 'drop', async (evt) => {
+      evt.preventDefault();
+
+      // As in ModuleManager, report errors of the worker's filesystem
+      const paths = [];
+      try {
+        for (const file of evt.dataTransfer.files) {
+          const path = dropDirectory.replace(/\/$/, '') + '/' + file.name;
+          await this.writeFile(path, await file.arrayBuffer());
+          paths.push(path);
+        }
+      } catch (error) {
+        this.__dispatch('filedroperror', { error, paths });
+        return;
+      }
+
+      this.__dispatch('filedrop', { paths });
+    });
+  }
+}
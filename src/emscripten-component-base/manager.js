@@ -14,14 +14,68 @@
 //     -s MODULARIZE=1 -s ENVIRONMENT='web'
 //
 //     -s EXTRA_EXPORTED_RUNTIME_METHODS="['specialHTMLTargets',
-//            'JSEvents', 'GL', 'callMain', 'abort']"
+//            'JSEvents', 'GL', 'FS', 'callMain', 'abort']"
 //
 // MODULARIZE prevents the Emscripten module from polluting the window
 // object. ENVIRONMENT optimizes the code size to output routines
 // for browsers only.
 //
 // EXTRA_EXPORTED_RUNTIME_METHODS exposes Module internals so that we
-// may patch them.
+// may patch them. Since emsdk 2.0.18, the flag is named
+// EXPORTED_RUNTIME_METHODS.
+
+import { applyKeymap, matchesShortcut } from './keymap.js';
+import { createListenerTracker, trackListener, disposeListenerTracker } from './listener-tracker.js';
+
+// Option overrides for older emsdk versions, oldest first. Every profile
+// whose `since` is at or below the user's `emsdkVersion` applies, in order.
+// The default options assume the latest emsdk.
+const versionProfiles = [
+  {
+    since: '0.0.0',
+    options: {
+      // Module.specialHTMLTargets does not exist yet. Module.canvas still
+      // redirects most canvas queries.
+      patchSpecialHTMLTargets: false,
+      exportedRuntimeMethodsFlag: 'EXTRA_EXPORTED_RUNTIME_METHODS',
+
+      // JSEvents and GL predate the handler objects and context records
+      // that our patches rewrite. Leave events unscoped and contexts as
+      // they are, rather than break them.
+      patchEventHandlers: false,
+      patchGlContexts: false
+    }
+  },
+  {
+    since: '1.39.0',
+    options: {
+      patchEventHandlers: true,
+      patchGlContexts: true
+    }
+  },
+  {
+    since: '1.39.20',
+    options: {
+      patchSpecialHTMLTargets: true
+    }
+  },
+  {
+    since: '2.0.18',
+    options: {
+      exportedRuntimeMethodsFlag: 'EXPORTED_RUNTIME_METHODS'
+    }
+  }
+];
+
+// Options that updateOptions() may change while the Module runs. Patches
+// read these from `__options` whenever they act.
+const liveOptions = [
+  'captureFocusOnComponent', 'captureTabKey',
+  'resizeCanvasOnElementSizing', 'resizeCanvasOnFullscreenChange',
+  'adjustViewportByDevicePixelRatio', 'fullscreenScaling', 'aspectRatio',
+  'keymap', 'releaseFocusKey', 'releaseFocusHoldTime',
+  'mute', 'volume', 'stats', 'metricsInterval'
+];
 
 export default class Manager {
   constructor(
@@ -35,7 +89,26 @@ export default class Manager {
     this.__initialModule = userOptions.initialModule || {};
     this.__wasmPath = userOptions.wasmPath;
 
+    // Bytes waiting to be read from stdin. A `null` entry marks EOF.
+    this.__stdinQueue = [];
+
+    // Highest count of pending run dependencies, used to report progress.
+    this.__totalDependencies = 0;
+
+    // Resolved after the next main loop iteration, see captureFrame()
+    this.__frameCallbacks = [];
+
+    // [target, type, listener, options, attached] of every listener we
+    // attached. `attached` differs from `listener` with `debugListeners`.
+    this.__listeners = [];
+
     this.__setOptions(userOptions);
+    this.__resetState();
+
+    // With `debugListeners`, see listener-tracker.js
+    this.__listenerTracker = this.__options.debugListeners
+      ? createListenerTracker(this.__describeTarget.bind(this))
+      : null;
   }
 
 ////////////////////////////////////////////////////////////////////////
@@ -49,17 +122,54 @@ export default class Manager {
     };
   }
 
+  __updateOptions(userOptions) {
+    // Change `liveOptions` in place, since patches hold on to `__options`.
+    // Returns the names of the options that changed.
+    const changed = liveOptions.filter(name => name in userOptions
+      && userOptions[name] !== this.__options[name]);
+
+    changed.forEach((name) => {
+      this.__options[name] = userOptions[name];
+    });
+    return changed;
+  }
+
   __getDefaultOptionsForVersion(userOptions) {
     const defaultOptions = {
       // Redirect all of Module's queries for <canvas> to our component's
       // canvas, instead of <canvas id="canvas">.
       redirectCanvasRequests: true,
+
+      // Redirect queries for '#canvas' through Module.specialHTMLTargets.
+      // Requires emsdk 1.39.20 or newer.
+      patchSpecialHTMLTargets: true,
+
+      // Scope Module's event handlers to our component by patching
+      // JSEvents.registerOrRemoveHandler(), and adjust the viewport, add
+      // context attributes and count draw calls by patching
+      // GL.createContext(). Both require emsdk 1.39.0 or newer.
+      patchEventHandlers: true,
+      patchGlContexts: true,
+
+      // Linker flag named in diagnostics about missing runtime exports.
+      exportedRuntimeMethodsFlag: 'EXPORTED_RUNTIME_METHODS',
   
       // Capture keyboard focus to component instead of listening globally.
       captureFocusOnComponent: true,
   
       // Capture TAB key. Defaults to false to respect a11y.
       captureTabKey: false,
+
+      // Which keys reach the program: `{ allow, deny, preventDefault }`,
+      // see applyKeymap() in keymap.js. null passes every key.
+      keymap: null,
+
+      // Holding this key for `releaseFocusHoldTime` milliseconds moves focus
+      // out of our component, so that keyboard users can leave it even
+      // when TAB is captured, e.g. 'Ctrl+Alt+Escape'. null to disable, as
+      // programs may use any key.
+      releaseFocusKey: null,
+      releaseFocusHoldTime: 1000,
   
       // Change canvas content dimensions when our component's canvas is resized,
       // not just when the window is resized.
@@ -69,26 +179,155 @@ export default class Manager {
       // the SDL implementation does not do this.
       // If you use EmscriptenFullscreenStrategy, you should set this false.
       resizeCanvasOnFullscreenChange: true,
+
+      // What requestFullscreen() shows: 'canvas', or 'component' to include
+      // the console.
+      fullscreenTarget: 'canvas',
+
+      // How the canvas fills the screen in fullscreen: 'stretch', 'letterbox'
+      // to keep `aspectRatio`, or 'integer' to scale the program's resolution
+      // by whole multiples, e.g. for pixel art.
+      fullscreenScaling: 'stretch',
+
+      // Width / height kept by 'letterbox' scaling. Defaults to the canvas's
+      // aspect ratio when entering fullscreen.
+      aspectRatio: null,
   
       // Adjust width and height inputs to gl.viewport() by window.devicePixelRatio.
       // If you use EmscriptenFullscreenStrategy, you should set this false.
       adjustViewportByDevicePixelRatio: true,
   
       // Dispose canvas when calling abort().
-      disposeCanvasOnAbort: true
+      disposeCanvasOnAbort: true,
+
+      // Silence the program, or scale its audio by `volume` from 0 to 1.
+      // Applies to AudioContexts that the program creates while running.
+      mute: false,
+      volume: 1,
+
+      // Create WebGL contexts with `preserveDrawingBuffer`, so that
+      // captureFrame() needn't wait for the next frame. This may slow
+      // down rendering.
+      preserveDrawingBuffer: false,
+
+      // Reset the component once a lost WebGL context is restored, for
+      // programs that don't recreate their GL resources themselves.
+      resetOnContextLoss: false,
+
+      // C function to call once restoreCheckpoint() has restored the
+      // program's memory, e.g. to recreate its GL resources. Must be
+      // exported, like those of `functions`.
+      checkpointRestoredFunction: null,
+
+      // Have restoreCheckpoint() call main() again, with the checkpoint's
+      // arguments, before it restores the memory. See "Checkpoints" in the
+      // README.
+      checkpointCallsMain: false,
+
+      // Write files dropped on the canvas into this directory of the
+      // virtual filesystem. Defaults to Emscripten's working directory.
+      // Set to null to ignore dropped files.
+      dropDirectory: '/home/web_user',
+
+      // Milliseconds between syncs of `persist` mounts to IndexedDB.
+      // Set to 0 to sync only on pause, abort and page hide.
+      persistSyncInterval: 5000,
+
+      // Also write stdout and stderr to the browser's console. Off by
+      // default, as it slows down programs that print a lot.
+      echoToBrowserConsole: false,
+
+      // Lines kept in the `stdout` and `stderr` stores of `state`.
+      stateBufferLines: 1000,
+
+      // Show FPS, frame times, heap size and draw calls over the canvas.
+      // Requires Browser to be exported.
+      stats: false,
+
+      // Milliseconds between `metrics` events, which carry getMetrics().
+      // 0 sends none, or sends them every second with `stats`.
+      metricsInterval: 0,
+
+      // Warn about our event listeners, and the handlers that Module
+      // registered through JSEvents (with `patchEventHandlers`), that are
+      // still attached after dispose().
+      debugListeners: false,
+
+      // Compile each WASM file once per page, and share it among the
+      // components that load it.
+      shareCompiledWasm: true,
+
+      // Also keep WASM files in the browser across page loads: 'cache' for
+      // the Cache API, or 'indexeddb'. Files are kept per URL and fetched
+      // again when `wasmCacheHash` changes, e.g. with each build.
+      wasmCacheStorage: null,
+      wasmCacheHash: '',
+
+      // Pause the main loop while the component is out of view or the page
+      // is hidden, and resume it once shown again. A pause made through
+      // pauseMainLoop() lasts until resumeMainLoop().
+      pauseWhenHidden: false,
+
+      // With pauseWhenHidden, pause once less than this fraction of the
+      // component is in view, and resume once at least `resumeThreshold`
+      // is. 0 means entirely out of view and partly in view, respectively.
+      pauseThreshold: 0,
+      resumeThreshold: 0
     }
 
     if (!userOptions.emsdkVersion)
       return defaultOptions;
-    
-    // TODO: toggle patches depending on user-specified EMSDK version.
-    // Ideally, we would compare version numbers (e.g., by npm semver)
-    // rather than switch-case. For now, just return defaults.
-    
-    switch(userOptions.emsdkVersion) {
-      default:
-        return defaultOptions;
+
+    const version = this.__parseVersion(userOptions.emsdkVersion);
+
+    if (!version) {
+      console.warn(`Ignoring unrecognized emsdkVersion "${userOptions.emsdkVersion}".`);
+      return defaultOptions;
     }
+
+    return versionProfiles
+      .filter(profile => this.__compareVersions(version, this.__parseVersion(profile.since)) >= 0)
+      .reduce((options, profile) => ({ ...options, ...profile.options }), defaultOptions);
+  }
+
+  __parseVersion(version) {
+    // Accepts e.g. "2.0.11", "v2.0.11" or "2.0.11-git"
+    const match = String(version).match(/^v?(\d+)\.(\d+)\.(\d+)/);
+    return match ? match.slice(1, 4).map(Number) : null;
+  }
+
+  __compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+      if (a[i] !== b[i])
+        return a[i] - b[i];
+    }
+    return 0;
+  }
+
+  __isElement(target) {
+    // HTMLElement does not exist inside a Web Worker
+    return typeof HTMLElement !== 'undefined' && target instanceof HTMLElement;
+  }
+
+  __getMissingExportMessage(name) {
+    return `Module.${name} is not exported. Add '${name}' to your linker flag `
+      + `-s ${this.__options.exportedRuntimeMethodsFlag}.`;
+  }
+
+////////////////////////////////////////////////////////////////////////
+// GLOBAL TARGETS
+////////////////////////////////////////////////////////////////////////
+
+  // The `window` and `document` that Module's events are scoped against.
+  // A subclass running Module inside a Web Worker, where neither exists,
+  // overrides these with stand-ins.
+
+  get _window() {
+    return window;
+  }
+
+  get _document() {
+    return document;
   }
 
 ////////////////////////////////////////////////////////////////////////
@@ -107,6 +346,10 @@ export default class Manager {
     throw new Error('Manager::abort() not implemented by the subclass.');
   }
 
+  async dispose() {
+    throw new Error('Manager::dispose() not implemented by the subclass.');
+  }
+
   pauseMainLoop() {
     throw new Error('Manager::pauseMainLoop() not implemented by the subclass.');
   }
@@ -123,10 +366,102 @@ export default class Manager {
     throw new Error('Manager::exitFullscreen() not implemented by the subclass.');
   }
 
+  async requestPointerLock() {
+    throw new Error('Manager::requestPointerLock() not implemented by the subclass.');
+  }
+
+  async captureFrame() {
+    throw new Error('Manager::captureFrame() not implemented by the subclass.');
+  }
+
+  async startRecording() {
+    throw new Error('Manager::startRecording() not implemented by the subclass.');
+  }
+
+  async stopRecording() {
+    throw new Error('Manager::stopRecording() not implemented by the subclass.');
+  }
+
+  async exitPointerLock() {
+    throw new Error('Manager::exitPointerLock() not implemented by the subclass.');
+  }
+
+  async saveCheckpoint() {
+    throw new Error('Manager::saveCheckpoint() not implemented by the subclass.');
+  }
+
+  async restoreCheckpoint() {
+    throw new Error('Manager::restoreCheckpoint() not implemented by the subclass.');
+  }
+
+  getMetrics() {
+    throw new Error('Manager::getMetrics() not implemented by the subclass.');
+  }
+
+  async updateOptions() {
+    throw new Error('Manager::updateOptions() not implemented by the subclass.');
+  }
+
+  async setCanvasVisible() {
+    throw new Error('Manager::setCanvasVisible() not implemented by the subclass.');
+  }
+
   onResizeCanvas() {
     throw new Error('Manager::onResizeCanvas() not implemented by the subclass.');
   }
 
+  writeStdin() {
+    throw new Error('Manager::writeStdin() not implemented by the subclass.');
+  }
+
+  closeStdin() {
+    throw new Error('Manager::closeStdin() not implemented by the subclass.');
+  }
+
+  writeFile() {
+    throw new Error('Manager::writeFile() not implemented by the subclass.');
+  }
+
+  readFile() {
+    throw new Error('Manager::readFile() not implemented by the subclass.');
+  }
+
+  listDir() {
+    throw new Error('Manager::listDir() not implemented by the subclass.');
+  }
+
+  mkdir() {
+    throw new Error('Manager::mkdir() not implemented by the subclass.');
+  }
+
+  unlink() {
+    throw new Error('Manager::unlink() not implemented by the subclass.');
+  }
+
+  sync() {
+    throw new Error('Manager::sync() not implemented by the subclass.');
+  }
+
+  async run() {
+    throw new Error('Manager::run() not implemented by the subclass.');
+  }
+
+  callFunction() {
+    throw new Error('Manager::callFunction() not implemented by the subclass.');
+  }
+
+  getExport() {
+    throw new Error('Manager::getExport() not implemented by the subclass.');
+  }
+
+  readFileAsBlob() {
+    throw new Error('Manager::readFileAsBlob() not implemented by the subclass.');
+  }
+
+  downloadFile() {
+    throw new Error('Manager::downloadFile() not implemented by the subclass.');
+  }
+
 ////////////////////////////////////////////////////////////////////////
 // INITIALIZATION MEHTODS
 ////////////////////////////////////////////////////////////////////////
@@ -168,6 +503,611 @@ export default class Manager {
     throw new Error('Manager::_patchModule() not implemented by subclass.');
   }
 
+  __onPressStart(evt) {
+    // Remember whether a mouse press starts within our component, so that
+    // the rest of the drag reaches us even outside of it.
+    this.__pressStartedInComponent = this.__isElement(evt.target)
+      && this.__componentElement.contains(evt.target);
+  }
+
+  __getKeyPolicy(evt) {
+    // Whether the program receives the key event `evt`, and what becomes
+    // of its default action; see applyKeymap(). To respect a11y, TAB goes
+    // to the browser unless captured.
+    if (evt.keyCode === 9 && !this.__options.captureTabKey)
+      return { pass: false, preventDefault: null };
+
+    return applyKeymap(evt, this.__options.keymap);
+  }
+
+  __eventConcernsComponent(evt) {
+    // Whether a mouse, wheel or touch event on window or document is meant
+    // for our component rather than another instance on the page.
+    const pointerLockElement = this._document.pointerLockElement;
+    if (pointerLockElement)
+      return pointerLockElement === this.__canvasElement;
+
+    if (this.__pressStartedInComponent
+        && (evt.type === 'mouseup' || evt.buttons))
+      return true;
+
+    // Touch events keep targeting the element where the touch started
+    return this.__isElement(evt.target) && this.__componentElement.contains(evt.target);
+  }
+
+////////////////////////////////////////////////////////////////////////
+// FOCUS RELEASE
+////////////////////////////////////////////////////////////////////////
+
+  __attachFocusRelease() {
+    // Holding `releaseFocusKey` blurs our component. The next TAB then
+    // moves on from where the component is in the page.
+    if (!this.__isElement(this.__componentElement))
+      return;
+
+    const componentElement = this.__componentElement;
+    const cancel = () => {
+      clearTimeout(this.__releaseFocusTimer);
+    };
+
+    this.__listen(componentElement, 'keydown', (evt) => {
+      const releaseFocusKey = this.__options.releaseFocusKey;
+      if (evt.repeat || !releaseFocusKey || !matchesShortcut(evt, releaseFocusKey))
+        return;
+
+      cancel();
+      this.__releaseFocusTimer = setTimeout(() => {
+        const activeElement = componentElement.ownerDocument.activeElement;
+        if (!componentElement.contains(activeElement))
+          return;
+
+        activeElement.blur();
+        this.__dispatch('focusrelease');
+      }, this.__options.releaseFocusHoldTime);
+    }, true);
+
+    this.__listen(componentElement, 'keyup', cancel, true);
+    this.__listen(componentElement, 'focusout', cancel);
+  }
+
+////////////////////////////////////////////////////////////////////////
+// TEXT INPUT
+////////////////////////////////////////////////////////////////////////
+
+  __focusComponent(evt) {
+    // Called by the focus invokers. While the program takes text, focus
+    // our text input proxy instead, so that a tap opens the virtual
+    // keyboard.
+    const input = this.__textInputElement;
+    if (!this.__textInputActive || !input) {
+      this.__componentElement.focus();
+      return;
+    }
+
+    input.focus({ preventScroll: true });
+
+    // Or the press would move focus back to our component
+    if (evt.type === 'mousedown')
+      evt.preventDefault();
+  }
+
+  __attachTextInput() {
+    // Emscripten and SDL take text from `keypress` events, which IME
+    // compositions, virtual keyboards and pastes don't produce. We turn
+    // their text into `keypress` events, see __sendText(). A hidden
+    // textarea in our component receives it, and gives virtual keyboards
+    // something to open for.
+    if (!this.__isElement(this.__componentElement))
+      return;
+
+    const componentElement = this.__componentElement;
+
+    this.__listen(componentElement, 'paste', (evt) => {
+      // Leave pastes into the console's input alone
+      if (evt.target !== componentElement && evt.target !== this.__textInputElement)
+        return;
+
+      evt.preventDefault();
+      this.__sendText(evt.clipboardData.getData('text/plain'));
+    });
+
+    // A canvas can't hold the textarea, e.g. with the Svelte action
+    if (componentElement instanceof HTMLCanvasElement)
+      return;
+
+    const input = componentElement.ownerDocument.createElement('textarea');
+    input.tabIndex = -1;
+    input.spellcheck = false;
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('autocapitalize', 'off');
+    input.setAttribute('autocorrect', 'off');
+    input.setAttribute('aria-label', 'Text input');
+
+    // Fixed, so that focusing it doesn't scroll the page
+    input.style.cssText = 'position: fixed; left: 0; bottom: 0; width: 1px; height: 1px;'
+      + ' padding: 0; border: 0; opacity: 0; resize: none; pointer-events: none;';
+
+    componentElement.appendChild(input);
+    this.__textInputElement = input;
+
+    // Physical keys produce `keypress`, which reaches the program by
+    // itself. Keys typed into a composition belong to the IME.
+    this.__listen(input, 'keydown', (evt) => {
+      this.__textInputKeypress = false;
+      if (evt.isComposing || evt.keyCode === 229)
+        evt.stopPropagation();
+    });
+    this.__listen(input, 'keyup', function(evt) {
+      if (evt.isComposing || evt.keyCode === 229)
+        evt.stopPropagation();
+    });
+    this.__listen(input, 'keypress', () => {
+      this.__textInputKeypress = true;
+    });
+
+    // E.g. a virtual keyboard's key, which has no `keypress`
+    this.__listen(input, 'input', (evt) => {
+      if (evt.isComposing)
+        return;
+
+      if (!this.__textInputKeypress && evt.inputType === 'insertText' && evt.data)
+        this.__sendText(evt.data);
+
+      this.__textInputKeypress = false;
+      input.value = '';
+    });
+
+    this.__listen(input, 'compositionend', (evt) => {
+      this.__sendText(evt.data || '');
+      input.value = '';
+    });
+  }
+
+  __sendText(text) {
+    // Emscripten passes `charCode` on to the program, e.g. SDL sends it as
+    // SDL_TEXTINPUT. The events bubble to wherever Module listens; in
+    // worker mode, WorkerManager forwards them.
+    for (const char of text) {
+      const charCode = char.codePointAt(0);
+      this.__componentElement.dispatchEvent(new KeyboardEvent('keypress', {
+        key: char, charCode, which: charCode, bubbles: true, cancelable: true
+      }));
+    }
+  }
+
+  __setTextInput(active) {
+    // Called by the program through Module.startTextInput() and
+    // stopTextInput(). Focus moves only within the focused instance.
+    this.__textInputActive = active;
+
+    const input = this.__textInputElement;
+    if (!input)
+      return;
+
+    const activeElement = input.ownerDocument.activeElement;
+    if (active && activeElement === this.__componentElement)
+      input.focus({ preventScroll: true });
+    else if (!active && activeElement === input)
+      this.__componentElement.focus({ preventScroll: true });
+  }
+
+  __copyToClipboard(text) {
+    // Called by the program through Module.setClipboardText(). Only the
+    // focused instance may write to the clipboard.
+    const componentElement = this.__componentElement;
+    if (!this.__isElement(componentElement)
+        || !componentElement.contains(componentElement.ownerDocument.activeElement)
+        || !navigator.clipboard)
+      return;
+
+    navigator.clipboard.writeText(text).catch(function(e) {
+      console.warn('Copying to the clipboard failed:', e);
+    });
+  }
+
+////////////////////////////////////////////////////////////////////////
+// FULLSCREEN
+////////////////////////////////////////////////////////////////////////
+
+  __getFullscreenElement() {
+    // For the canvas, we make its container fullscreen rather than the
+    // canvas itself, so that we can size the canvas within it.
+    return this.__options.fullscreenTarget === 'component'
+      ? this.__componentElement
+      : this.__canvasElement.parentElement;
+  }
+
+  __requestFullscreen() {
+    // Call the DOM's method, since <emscripten-module> overrides its own
+    // to call ours
+    return HTMLElement.prototype.requestFullscreen.call(this.__getFullscreenElement());
+  }
+
+  __isFullscreen() {
+    // The program may also make the canvas itself fullscreen
+    const element = this._document.fullscreenElement;
+    return !!element
+      && (element === this.__getFullscreenElement() || element === this.__canvasElement);
+  }
+
+  __getCanvasContainerRect() {
+    const element = this._document.fullscreenElement === this.__canvasElement
+      ? this.__canvasElement
+      : this.__canvasElement.parentElement;
+    return element.getBoundingClientRect();
+  }
+
+  __computeCanvasLayout(container, dpr, nativeSize) {
+    // Returns the canvas's CSS size and content size in fullscreen.
+    const mode = this.__options.fullscreenScaling;
+
+    if (mode === 'integer') {
+      const scale = Math.max(1, Math.floor(Math.min(
+        container.width * dpr / nativeSize.width,
+        container.height * dpr / nativeSize.height
+      )));
+      return {
+        cssWidth: nativeSize.width * scale / dpr,
+        cssHeight: nativeSize.height * scale / dpr,
+        width: nativeSize.width,
+        height: nativeSize.height
+      };
+    }
+
+    let cssWidth = container.width;
+    let cssHeight = container.height;
+
+    if (mode === 'letterbox') {
+      const ratio = this.__options.aspectRatio || nativeSize.width / nativeSize.height;
+      cssWidth = Math.min(container.width, container.height * ratio);
+      cssHeight = cssWidth / ratio;
+    }
+
+    return {
+      cssWidth,
+      cssHeight,
+      width: Math.round(cssWidth * dpr),
+      height: Math.round(cssHeight * dpr)
+    };
+  }
+
+  __applyCanvasStyle(styles) {
+    // Apply inline styles to the canvas, or restore its own with `null`
+    const canvas = this.__canvasElement;
+
+    if (!styles) {
+      if (this.__savedCanvasStyle !== undefined)
+        canvas.style.cssText = this.__savedCanvasStyle;
+      this.__savedCanvasStyle = undefined;
+      return;
+    }
+
+    if (this.__savedCanvasStyle === undefined)
+      this.__savedCanvasStyle = canvas.style.cssText;
+    Object.assign(canvas.style, styles);
+  }
+
+////////////////////////////////////////////////////////////////////////
+// RECORDING
+////////////////////////////////////////////////////////////////////////
+
+  __startRecording({ mimeType = 'video/webm', fps = 30 } = {}) {
+    // We record the canvas element on the main thread, which also shows
+    // what a worker renders.
+    if (this.__recorder)
+      throw new Error('A recording is already in progress.');
+
+    if (typeof MediaRecorder === 'undefined' || !(this.__canvasElement.captureStream instanceof Function))
+      throw new Error('This browser cannot record the canvas: MediaRecorder or canvas.captureStream() is missing.');
+
+    if (!MediaRecorder.isTypeSupported(mimeType))
+      throw new Error(`This browser cannot record ${mimeType}.`);
+
+    const chunks = [];
+    const recorder = new MediaRecorder(this.__canvasElement.captureStream(fps), { mimeType });
+    recorder.ondataavailable = function(evt) {
+      if (evt.data.size)
+        chunks.push(evt.data);
+    };
+    recorder.start();
+
+    this.__recorder = recorder;
+    this.__recordedChunks = chunks;
+  }
+
+  async __stopRecording() {
+    const recorder = this.__recorder;
+
+    if (!recorder)
+      throw new Error('No recording is in progress.');
+
+    this.__recorder = null;
+
+    await new Promise(function(resolve) {
+      recorder.onstop = resolve;
+      recorder.stop();
+    });
+    recorder.stream.getTracks().forEach(track => track.stop());
+
+    return new Blob(this.__recordedChunks, { type: recorder.mimeType });
+  }
+
+////////////////////////////////////////////////////////////////////////
+// VISIBILITY
+////////////////////////////////////////////////////////////////////////
+
+  __startVisibilityTracking() {
+    if (!this.__options.pauseWhenHidden
+        || !this.__isElement(this.__componentElement)
+        || typeof IntersectionObserver === 'undefined')
+      return;
+
+    const { pauseThreshold, resumeThreshold } = this.__options;
+    this.__offscreen = false;
+
+    // Between the thresholds, we keep the previous state so that scrolling
+    // along the edge doesn't toggle the loop.
+    this.__intersectionObserver = new IntersectionObserver((entries) => {
+      const entry = entries[entries.length - 1];
+
+      if (!entry.isIntersecting || entry.intersectionRatio < pauseThreshold)
+        this.__offscreen = true;
+      else if (entry.intersectionRatio >= resumeThreshold)
+        this.__offscreen = false;
+
+      this.__updateAutoPause();
+    }, { threshold: [...new Set([0, pauseThreshold, resumeThreshold])] });
+    this.__intersectionObserver.observe(this.__componentElement);
+
+    this.__visibilityHandler = this.__updateAutoPause.bind(this);
+    this.__listen(this._document, 'visibilitychange', this.__visibilityHandler);
+  }
+
+  __stopVisibilityTracking() {
+    if (this.__intersectionObserver)
+      this.__intersectionObserver.disconnect();
+    if (this.__visibilityHandler)
+      this.__unlisten(this._document, 'visibilitychange', this.__visibilityHandler);
+
+    this.__intersectionObserver = null;
+    this.__visibilityHandler = null;
+    this.__autoPaused = false;
+  }
+
+  async __updateAutoPause() {
+    // pauseMainLoop() and resumeMainLoop() clear `__autoPaused`, so that we
+    // don't resume a loop that was paused explicitly.
+    const hidden = this.__offscreen || this._document.visibilityState === 'hidden';
+
+    if (hidden && this.__status === 'running') {
+      // Flag the pause before awaiting its sync, so that resumeMainLoop()
+      // meanwhile clears it
+      const pause = this.pauseMainLoop();
+      this.__autoPaused = true;
+      await pause;
+
+      // Shown again meanwhile
+      if (this.__autoPaused && !this.__offscreen && this._document.visibilityState !== 'hidden') {
+        this.__autoPaused = false;
+        await this.resumeMainLoop();
+      }
+    }
+    else if (!hidden && this.__autoPaused) {
+      this.__autoPaused = false;
+      await this.resumeMainLoop();
+    }
+  }
+
+////////////////////////////////////////////////////////////////////////
+// FILESYSTEM
+////////////////////////////////////////////////////////////////////////
+
+  __dirname(path) {
+    const index = path.lastIndexOf('/');
+    if (index <= 0)
+      return index === 0 ? '/' : '.';
+    return path.slice(0, index);
+  }
+
+  __mkdirTree(FS, path) {
+    // FS.mkdirTree() treats relative paths as absolute
+    if (!path.startsWith('/'))
+      path = FS.cwd() + '/' + path;
+    FS.mkdirTree(path);
+  }
+
+  __mkdirParents(FS, path) {
+    if (!path.startsWith('/'))
+      path = FS.cwd() + '/' + path;
+    this.__mkdirTree(FS, this.__dirname(path));
+  }
+
+  __listFiles(FS, path = '/', files = new Map()) {
+    // Map each file's path to a signature that changes when it is written.
+    // Skips Emscripten's device and process directories.
+    FS.readdir(path).forEach((name) => {
+      if (name === '.' || name === '..')
+        return;
+
+      const child = (path === '/' ? '' : path) + '/' + name;
+      if (child === '/dev' || child === '/proc')
+        return;
+
+      const stat = FS.stat(child);
+      if (FS.isDir(stat.mode))
+        this.__listFiles(FS, child, files);
+      else if (FS.isFile(stat.mode))
+        files.set(child, +stat.mtime + ':' + stat.size);
+    });
+    return files;
+  }
+
+  __getPersistNamespace() {
+    if (this.__options.persistNamespace)
+      return this.__options.persistNamespace;
+
+    // By default, the program's WASM URL (see __getWasmLocateFile()) and
+    // our element's id, if any, which stay the same across page reloads
+    // and remounts. IDBFS adds the mount path.
+    const element = this.__componentElement;
+    const program = this.__wasmUrl || this.__wasmPath || 'default';
+    return 'svelte-emscripten/' + program + (element && element.id ? '#' + element.id : '');
+  }
+
+  __saveBlob(blob, filename) {
+    // Prompt the browser to save `blob` by clicking a temporary link.
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+////////////////////////////////////////////////////////////////////////
+// STATE
+////////////////////////////////////////////////////////////////////////
+
+  // `options.state` holds stores with `set()` and `update()`, like Svelte's
+  // writable stores, which we keep up to date with the runtime.
+
+  __resetState() {
+    this.__setState('status', 'loading');
+    this.__setState('progress', null);
+    this.__setState('isFullscreen', false);
+    this.__setState('exitCode', null);
+    this.__setState('stdout', []);
+    this.__setState('stderr', []);
+    this.__setState('heapSize', null);
+    this.__pendingStateLines = {};
+  }
+
+  __setState(name, value) {
+    if (name === 'status') {
+      this.__status = value;
+
+      // The program may start running while hidden
+      if (value === 'running' && this.__intersectionObserver)
+        setTimeout(() => this.__updateAutoPause());
+    }
+
+    const store = this.__options.state && this.__options.state[name];
+    if (store)
+      store.set(value);
+  }
+
+  __appendStateLine(name, text) {
+    // A chatty program prints thousands of lines per second. Copying the
+    // store's lines for each would be slow, so we add them once per frame.
+    const store = this.__options.state && this.__options.state[name];
+    if (!store)
+      return;
+
+    const max = this.__options.stateBufferLines;
+    const pending = this.__pendingStateLines[name] || (this.__pendingStateLines[name] = []);
+    pending.push(text);
+
+    // No frames run while the page is hidden
+    if (pending.length > 2 * max)
+      pending.splice(0, pending.length - max);
+
+    if (!this.__stateLinesFrame)
+      this.__stateLinesFrame = requestAnimationFrame(() => this.__flushStateLines());
+  }
+
+  __discardStateLines() {
+    // On dispose(), so that our lines don't reach the stores after a
+    // reset() has cleared them for the next manager
+    cancelAnimationFrame(this.__stateLinesFrame);
+    this.__stateLinesFrame = null;
+    this.__pendingStateLines = {};
+  }
+
+  __flushStateLines() {
+    const pending = this.__pendingStateLines;
+    const max = this.__options.stateBufferLines;
+    this.__pendingStateLines = {};
+    this.__stateLinesFrame = null;
+
+    Object.keys(pending).forEach((name) => {
+      this.__options.state[name].update(function(lines) {
+        const all = lines.concat(pending[name]);
+        return all.slice(Math.max(0, all.length - max));
+      });
+    });
+  }
+
+////////////////////////////////////////////////////////////////////////
+// EVENTS
+////////////////////////////////////////////////////////////////////////
+
+  __dispatch(type, detail) {
+    // Lifecycle events are dispatched as DOM events on our component's
+    // element, so that any framework (or none) may listen to them.
+    if (this.__isElement(this.__componentElement))
+      this.__componentElement.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  __listen(target, type, listener, options) {
+    // Attach a listener that dispose() removes
+    const attached = this.__listenerTracker
+      ? trackListener(this.__listenerTracker, target, type, listener)
+      : listener;
+
+    target.addEventListener(type, attached, options);
+    this.__listeners.push([target, type, listener, options, attached]);
+  }
+
+  __unlisten(target, type, listener, options) {
+    // Remove a listener of __listen() before dispose()
+    const index = this.__listeners.findIndex(function(entry) {
+      return entry[0] === target && entry[1] === type && entry[2] === listener && entry[3] === options;
+    });
+    if (index < 0)
+      return;
+
+    target.removeEventListener(type, this.__listeners[index][4], options);
+    this.__listeners.splice(index, 1);
+  }
+
+  __removeListeners() {
+    this.__listeners.forEach(function([target, type, listener, options, attached]) {
+      target.removeEventListener(type, attached, options);
+    });
+    this.__listeners = [];
+
+    // Nor release focus after all, see __attachFocusRelease()
+    clearTimeout(this.__releaseFocusTimer);
+
+    // And drop our text input proxy, see __attachTextInput()
+    if (this.__textInputElement) {
+      this.__textInputElement.remove();
+      this.__textInputElement = null;
+    }
+  }
+
+  __describeTarget(target) {
+    // Names `target` in the reports of `debugListeners`
+    if (target === this._window)
+      return 'window';
+    if (target === this._document)
+      return 'document';
+    if (target === this.__componentElement)
+      return 'component';
+    if (target === this.__canvasElement)
+      return 'canvas';
+    return target && target.tagName ? target.tagName.toLowerCase() : String(target);
+  }
+
+  __disposeListenerTracker(eventHandlers) {
+    // With `debugListeners`, report the JSEvents `eventHandlers` that
+    // dispose() didn't remove, and from now on any listener that fires
+    if (this.__listenerTracker)
+      disposeListenerTracker(this.__listenerTracker, eventHandlers);
+  }
+
 ////////////////////////////////////////////////////////////////////////
 // ABORT HANDLER
 ////////////////////////////////////////////////////////////////////////
@@ -187,15 +1127,21 @@ export default class Manager {
     if (!module.GL)
       return;
 
+    // GL.contexts holds every context that Module created, WebGL 1 or 2,
+    // and `null` for deleted ones.
     Object.keys(module.GL.contexts).forEach(function(key) {
+      const context = module.GL.contexts[key];
+      if (!context || !context.GLctx)
+        return;
+
       try {
-        const extension = module.GL.contexts[key].GLctx.getExtension('WEBGL_lose_context');
-        if (extension)
+        const extension = context.GLctx.getExtension('WEBGL_lose_context');
+        if (extension && !context.GLctx.isContextLost())
           extension.loseContext();
         module.GL.deleteContext(key);
       } catch(e) {
-        // Fail silently; GL.contexts[key] is likely null and GL.deleteContext()
-        // does not handle this correctly as of emscripten 2.0.11.
+        // Fail silently; GL.deleteContext() does not handle every context
+        // correctly as of emscripten 2.0.11.
       }
     });
   }
@@ -204,23 +1150,51 @@ export default class Manager {
 // OTHER HANDLERS
 ////////////////////////////////////////////////////////////////////////
 
+  // `consoleElement` is either a console view with `write(text, stream)`
+  // and `clear()` methods, or a <textarea>, which shows stdout only.
+
+  __writeToConsole(text, stream) {
+    const element = this.__consoleElement;
+
+    if (!element)
+      return;
+
+    if (element.write instanceof Function)
+      element.write(text, stream);
+    else if (stream === 'stdout') {
+      element.value += text + "\n";
+      element.scrollTop = element.scrollHeight; // focus on bottom
+    }
+  }
+
+  __clearConsole() {
+    const element = this.__consoleElement;
+
+    if (!element)
+      return;
+
+    if (element.clear instanceof Function)
+      element.clear();
+    else
+      element.value = '';
+  }
+
   // From emscripten/src/shell.html
   __getPrintHandler() {
     const predefinedPrint = this.__initialModule.print instanceof Function ? this.__initialModule.print.bind(this) : null;
-    var element = this.__consoleElement;
-    if (element) element.value = ''; // clear browser cache
+    const dispatch = this.__dispatch.bind(this);
+    const appendStateLine = this.__appendStateLine.bind(this);
+    const writeToConsole = this.__writeToConsole.bind(this);
+    const options = this.__options;
+    this.__clearConsole(); // clear browser cache
     return function(text) {
       if (arguments.length > 1) text = Array.prototype.slice.call(arguments).join(' ');
-      // These replacements are necessary if you render to raw HTML
-      //text = text.replace(/&/g, "&amp;");
-      //text = text.replace(/</g, "&lt;");
-      //text = text.replace(/>/g, "&gt;");
-      //text = text.replace('\n', '<br>', 'g');
-      console.log(text);
-      if (element) {
-        element.value += text + "\n";
-        element.scrollTop = element.scrollHeight; // focus on bottom
-      }
+      if (options.echoToBrowserConsole)
+        console.log(text);
+      writeToConsole(text, 'stdout');
+
+      appendStateLine('stdout', text);
+      dispatch('print', { text });
 
       // If user supplied their own function
       if (predefinedPrint instanceof Function)
@@ -231,13 +1205,124 @@ export default class Manager {
   // From emscripten/src/shell.html
   __getPrintErrHandler() {
     const predefinedPrintErr = this.__initialModule.printErr instanceof Function ? this.__initialModule.printErr.bind(this) : null;
+    const dispatch = this.__dispatch.bind(this);
+    const appendStateLine = this.__appendStateLine.bind(this);
+    const writeToConsole = this.__writeToConsole.bind(this);
+    const options = this.__options;
     return function(text) {
       if (arguments.length > 1) text = Array.prototype.slice.call(arguments).join(' ');
+      if (options.echoToBrowserConsole)
         console.error(text);
+      writeToConsole(text, 'stderr');
+
+      appendStateLine('stderr', text);
+      dispatch('printErr', { text });
 
       // If user supplied their own function
       if (predefinedPrintErr instanceof Function)
         predefinedPrintErr(text);
     }
   }
+
+  __getStdinHandler() {
+    // Emscripten's stdin device calls this once per byte. Returning `null`
+    // signals EOF. Returning `undefined` signals that no data is available
+    // yet (EAGAIN), which keeps Emscripten from falling back to
+    // window.prompt().
+    const predefinedStdin = this.__initialModule.stdin instanceof Function ? this.__initialModule.stdin.bind(this) : null;
+    const queue = this.__stdinQueue;
+    return function() {
+      if (queue.length)
+        return queue.shift();
+
+      // If user supplied their own function
+      if (predefinedStdin instanceof Function)
+        return predefinedStdin();
+
+      return undefined;
+    };
+  }
+
+  // From emscripten/src/shell.html
+  __getSetStatusHandler() {
+    const predefinedSetStatus = this.__initialModule.setStatus instanceof Function ? this.__initialModule.setStatus.bind(this) : null;
+    const dispatch = this.__dispatch.bind(this);
+    const setState = this.__setState.bind(this);
+    return function(text = '') {
+      // Emscripten reports downloads as e.g. "Downloading data... (3/10)"
+      const match = text.match(/([^(]+)\((\d+(\.\d+)?)\/(\d+)\)/);
+      const detail = match
+        ? { status: match[1].trim(), loaded: parseInt(match[2]), total: parseInt(match[4]) }
+        : { status: text, loaded: null, total: null };
+
+      setState('progress', detail.total ? detail.loaded / detail.total : null);
+      dispatch('progress', detail);
+
+      // If user supplied their own function
+      if (predefinedSetStatus instanceof Function)
+        predefinedSetStatus(text);
+    };
+  }
+
+  // From emscripten/src/shell.html
+  __getMonitorRunDependenciesHandler() {
+    const predefinedMonitor = this.__initialModule.monitorRunDependencies instanceof Function ? this.__initialModule.monitorRunDependencies.bind(this) : null;
+    const manager = this;
+    return function(left) {
+      // In this scope, `this` refers to the Module object in which this handler lives
+      manager.__totalDependencies = Math.max(manager.__totalDependencies, left);
+      const total = manager.__totalDependencies;
+      this.setStatus(left ? 'Preparing... (' + (total - left) + '/' + total + ')' : 'All downloads complete.');
+
+      // If user supplied their own function
+      if (predefinedMonitor instanceof Function)
+        predefinedMonitor(left);
+    };
+  }
+
+  __getRuntimeInitializedHandler() {
+    const predefinedOnRuntimeInitialized = this.__initialModule.onRuntimeInitialized instanceof Function ? this.__initialModule.onRuntimeInitialized.bind(this) : null;
+    return function() {
+      // `ready` is dispatched by the subclass once its patches are applied,
+      // because the Module is not yet returned to us at this point.
+
+      // If user supplied their own function
+      if (predefinedOnRuntimeInitialized instanceof Function)
+        predefinedOnRuntimeInitialized();
+    };
+  }
+
+  __getPostMainLoopHandler() {
+    // Emscripten calls this after each main loop iteration, while the frame
+    // that Module drew is still in the drawing buffer.
+    const predefinedPostMainLoop = this.__initialModule.postMainLoop instanceof Function ? this.__initialModule.postMainLoop.bind(this) : null;
+    const manager = this;
+    return function() {
+      manager.__lastFrameTime = performance.now();
+
+      const callbacks = manager.__frameCallbacks;
+      manager.__frameCallbacks = [];
+      callbacks.forEach(callback => callback());
+
+      // If user supplied their own function
+      if (predefinedPostMainLoop instanceof Function)
+        predefinedPostMainLoop();
+    };
+  }
+
+  __getExitHandler() {
+    const predefinedOnExit = this.__initialModule.onExit instanceof Function ? this.__initialModule.onExit.bind(this) : null;
+    const dispatch = this.__dispatch.bind(this);
+    const setState = this.__setState.bind(this);
+    return function(code) {
+      setState('status', 'exited');
+      setState('exitCode', code);
+
+      dispatch('exit', { code });
+
+      // If user supplied their own function
+      if (predefinedOnExit instanceof Function)
+        predefinedOnExit(code);
+    };
+  }
 }
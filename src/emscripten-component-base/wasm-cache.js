@@ -0,0 +1,142 @@
+// emscripten-component-base - wasm-cache.js
+//
+// Compiles each WASM file once per page, so that components which load the
+// same program share its WebAssembly.Module. Compiled modules can't be
+// stored across page loads, but their bytes can: in the Cache API or in
+// IndexedDB, kept per URL along with a hash that the app changes whenever
+// it deploys a new build.
+
+const storageName = 'svelte-emscripten-wasm';
+const hashHeader = 'X-Wasm-Cache-Hash';
+
+// Promises of compiled modules, by URL and hash
+const compiledModules = new Map();
+
+/** Resolve with the WebAssembly.Module at `url`, compiling it only once.
+ ** `storage` is null, 'cache' or 'indexeddb'. */
+export function compileWasm(url, { storage = null, hash = '' } = {}) {
+  const key = `${url}#${hash}`;
+
+  if (!compiledModules.has(key)) {
+    const compilation = loadWasm(url, storage, hash);
+    compiledModules.set(key, compilation);
+
+    // Let the next component try again
+    compilation.catch(function() {
+      compiledModules.delete(key);
+    });
+  }
+
+  return compiledModules.get(key);
+}
+
+async function loadWasm(url, storage, hash) {
+  if (storage === 'cache' && typeof caches !== 'undefined')
+    return await loadFromCacheStorage(url, hash);
+
+  if (storage === 'indexeddb' && typeof indexedDB !== 'undefined')
+    return await loadFromIndexedDb(url, hash);
+
+  return await loadUncached(url);
+}
+
+async function loadUncached(url) {
+  return await compileResponse(await fetchWasm(url));
+}
+
+async function fetchWasm(url) {
+  const response = await fetch(url, { credentials: 'same-origin' });
+
+  if (!response.ok)
+    throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+
+  return response;
+}
+
+async function compileResponse(response) {
+  // Streaming compilation requires the application/wasm MIME type, which
+  // not every server sends.
+  const contentType = response.headers.get('Content-Type') || '';
+
+  if (WebAssembly.compileStreaming && contentType.startsWith('application/wasm'))
+    return await WebAssembly.compileStreaming(response);
+
+  return await WebAssembly.compile(await response.arrayBuffer());
+}
+
+////////////////////////////////////////////////////////////////////////
+// CACHE API
+////////////////////////////////////////////////////////////////////////
+
+async function loadFromCacheStorage(url, hash) {
+  let cache, cached;
+  try {
+    cache = await caches.open(storageName);
+    cached = await cache.match(url);
+  } catch (e) {
+    // A cache mustn't keep the program from loading, e.g. when storage is
+    // denied in private browsing or an insecure context
+    return await loadUncached(url);
+  }
+
+  if (cached && cached.headers.get(hashHeader) === hash)
+    return await compileResponse(cached);
+
+  // Compile while we store a copy, which replaces the one of another hash
+  const response = await fetchWasm(url);
+  const headers = new Headers(response.headers);
+  headers.set(hashHeader, hash);
+
+  const storing = cache.put(url, new Response(response.clone().body, { headers }))
+    .catch(function() {
+      // Fail silently, e.g. when over quota; we only miss the cache next time
+    });
+
+  const [wasmModule] = await Promise.all([compileResponse(response), storing]);
+  return wasmModule;
+}
+
+////////////////////////////////////////////////////////////////////////
+// INDEXEDDB
+////////////////////////////////////////////////////////////////////////
+
+function requestToPromise(request) {
+  return new Promise(function(resolve, reject) {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function loadFromIndexedDb(url, hash) {
+  let db, record;
+  try {
+    const openRequest = indexedDB.open(storageName, 1);
+    openRequest.onupgradeneeded = function() {
+      openRequest.result.createObjectStore('files');
+    };
+    db = await requestToPromise(openRequest);
+    record = await requestToPromise(db.transaction('files').objectStore('files').get(url));
+  } catch (e) {
+    // As for the Cache API, load without storing
+    if (db)
+      db.close();
+    return await loadUncached(url);
+  }
+
+  try {
+    if (record && record.hash === hash)
+      return await WebAssembly.compile(record.bytes);
+
+    const bytes = await (await fetchWasm(url)).arrayBuffer();
+
+    try {
+      await requestToPromise(db.transaction('files', 'readwrite').objectStore('files').put({ hash, bytes }, url));
+    } catch (e) {
+      // Fail silently, e.g. when over quota; we only miss the cache next time
+    }
+
+    return await WebAssembly.compile(bytes);
+  } finally {
+    db.close();
+  }
+}
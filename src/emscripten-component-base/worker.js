@@ -0,0 +1,256 @@
+// emscripten-component-base - worker.js
+//
+// Entry point of the Web Worker that runs a Module for WorkerManager (see
+// manager-worker.js). Build this file as its own script and pass its URL
+// as `options.worker.url`.
+//
+// Module renders to an OffscreenCanvas here. Neither `window` nor the DOM
+// exist in a worker, so we stand in for the targets that Module listens
+// on and replay the events that WorkerManager forwards from the main
+// thread. This keeps ModuleManager's scoping patches working unchanged.
+
+import { default as ModuleManager } from './manager-module.js';
+
+// Methods that the main thread may call on our ModuleManager
+const callableMethods = [
+  'callMain', 'abort', 'pauseMainLoop', 'resumeMainLoop',
+  'writeStdin', 'closeStdin', 'sync', 'callFunction', 'run',
+  'writeFile', 'readFile', 'listDir', 'mkdir', 'unlink', 'captureFrame',
+  'saveCheckpoint', 'restoreCheckpoint', 'updateOptions', 'setCanvasVisible',
+  'getMetrics'
+];
+
+// Stand-ins for the main thread's window, document and component element
+const windowTarget = new EventTarget();
+const documentTarget = new EventTarget();
+const componentTarget = new EventTarget();
+
+componentTarget.focus = function() {};
+documentTarget.body = { clientWidth: 0, clientHeight: 0 };
+documentTarget.fullscreenElement = null;
+documentTarget.pointerLockElement = null;
+documentTarget.visibilityState = 'visible';
+documentTarget.querySelector = function() {
+  return null;
+};
+
+// Emscripten reads some globals directly, e.g. `document.body` in its
+// resize handler. We don't define `window`, or Emscripten would assume
+// that it runs on the main thread.
+self.document = documentTarget;
+
+const targets = {
+  window: windowTarget,
+  document: documentTarget,
+  component: componentTarget,
+  canvas: null
+};
+
+let manager = null;
+let environment = null;
+
+class WorkerModuleManager extends ModuleManager {
+  get _window() {
+    return windowTarget;
+  }
+
+  get _document() {
+    return documentTarget;
+  }
+
+  __dispatch(type, detail) {
+    // FS errors carry functions, which can't be posted
+    if (detail && detail.error)
+      detail = { ...detail, error: { name: detail.error.name, message: detail.error.message, errno: detail.error.errno } };
+
+    self.postMessage({ type: 'event', event: type, detail });
+  }
+
+  // The stores in `options.state` live on the main thread, where
+  // WorkerManager applies these updates.
+
+  __setState(name, value) {
+    super.__setState(name, value);
+    self.postMessage({ type: 'state', method: '__setState', args: [name, value] });
+  }
+
+  __appendStateLine(name, text) {
+    self.postMessage({ type: 'state', method: '__appendStateLine', args: [name, text] });
+  }
+
+  // Text input and the clipboard belong to the main thread too
+
+  __setTextInput(active) {
+    self.postMessage({ type: 'textInput', method: '__setTextInput', args: [active] });
+  }
+
+  __copyToClipboard(text) {
+    self.postMessage({ type: 'textInput', method: '__copyToClipboard', args: [text] });
+  }
+
+  __getLocateFile() {
+    // Emscripten resolves files against the worker script. Resolve them
+    // against the Module script instead.
+    const wasmPath = this.__wasmPath;
+    const moduleUrl = this.__options.worker.moduleUrl;
+    return function(path) {
+      return new URL(wasmPath || path, moduleUrl).href;
+    };
+  }
+
+  _patchCanvasQueries() {
+    if (!this._hasExport('specialHTMLTargets'))
+      return;
+
+    // Emscripten's own targets for document and window are empty in a worker
+    const specialHTMLTargets = this._moduleInstance.specialHTMLTargets;
+    specialHTMLTargets[1] = documentTarget;
+    specialHTMLTargets[2] = windowTarget;
+
+    if (this.__options.redirectCanvasRequests)
+      specialHTMLTargets['#canvas'] = this.__canvasElement;
+  }
+
+  __eventConcernsComponent() {
+    // WorkerManager forwards only the events that concern us
+    return true;
+  }
+
+  // Fullscreen is entered on the main thread, which posts whether our
+  // canvas is shown and the size of its container.
+
+  __isFullscreen() {
+    return documentTarget.fullscreenElement !== null;
+  }
+
+  __getCanvasContainerRect() {
+    return environment.containerRect;
+  }
+
+  __applyCanvasStyle(styles) {
+    self.postMessage({ type: 'canvasStyle', styles });
+  }
+
+  _handleResizeCanvas() {
+    // FocusEvent does not exist in a worker
+    const event = new Event('resize');
+    Object.defineProperty(event, 'relatedTarget', { value: this.__canvasElement });
+    this._window.dispatchEvent(event);
+  }
+}
+
+function updateEnvironment(newEnvironment) {
+  // Mirror the main thread's measurements, which Module reads from
+  // `window`, `document` and the canvas.
+  environment = newEnvironment;
+
+  [
+    'devicePixelRatio', 'innerWidth', 'innerHeight',
+    'outerWidth', 'outerHeight', 'pageXOffset', 'pageYOffset'
+  ].forEach(function(key) {
+    windowTarget[key] = self[key] = environment[key];
+  });
+
+  documentTarget.body.clientWidth = environment.bodyWidth;
+  documentTarget.body.clientHeight = environment.bodyHeight;
+  documentTarget.fullscreenElement = environment.fullscreen ? targets.canvas : null;
+  documentTarget.pointerLockElement = environment.pointerLocked ? targets.canvas : null;
+  documentTarget.visibilityState = environment.visibilityState;
+
+  const canvas = targets.canvas;
+  canvas.clientWidth = environment.canvasRect.width;
+  canvas.clientHeight = environment.canvasRect.height;
+  canvas.getBoundingClientRect = function() {
+    return environment.canvasRect;
+  };
+}
+
+function resolveTargets(value) {
+  // WorkerManager posts `{ __target: name }` in place of DOM elements
+  if (Array.isArray(value))
+    return value.map(resolveTargets);
+
+  if (value && typeof value === 'object') {
+    if (value.__target)
+      return targets[value.__target];
+
+    const resolved = {};
+    Object.keys(value).forEach(function(key) {
+      resolved[key] = resolveTargets(value[key]);
+    });
+    return resolved;
+  }
+
+  return value;
+}
+
+function replayEvent(message) {
+  const event = new Event(message.event, { cancelable: true });
+  Object.keys(message.properties).forEach(function(key) {
+    Object.defineProperty(event, key, { value: resolveTargets(message.properties[key]) });
+  });
+  targets[message.target].dispatchEvent(event);
+}
+
+async function initialize(message) {
+  const options = message.options;
+
+  targets.canvas = message.canvas;
+  // Emscripten sets canvas styles in a few places
+  targets.canvas.style = {};
+  updateEnvironment(message.environment);
+  componentTarget.id = options.componentId || '';
+
+  importScripts(options.worker.moduleUrl);
+  const moduleFactory = self[options.worker.exportName || 'Module'];
+
+  if (!(moduleFactory instanceof Function))
+    throw new Error(`${options.worker.moduleUrl} does not define the Module factory "${options.worker.exportName || 'Module'}".`);
+
+  manager = await WorkerModuleManager.initialize(
+    moduleFactory,
+    componentTarget, targets.canvas, null,
+    options
+  );
+}
+
+async function handleMessage(message) {
+  switch (message.type) {
+    case 'initialize':
+      return await initialize(message);
+
+    case 'environment':
+      updateEnvironment(message.environment);
+      return;
+
+    case 'event':
+      updateEnvironment(message.environment);
+      replayEvent(message);
+      return;
+
+    case 'resize':
+      updateEnvironment(message.environment);
+      manager.onResizeCanvas({ target: targets.canvas });
+      return;
+
+    case 'call':
+      if (!callableMethods.includes(message.method))
+        throw new Error(`Unknown method ${message.method}().`);
+      return await manager[message.method](...message.args);
+  }
+}
+
+self.onmessage = async function(e) {
+  const message = e.data;
+
+  try {
+    const value = await handleMessage(message);
+    if (message.id !== undefined)
+      self.postMessage({ type: 'result', id: message.id, value });
+  } catch (err) {
+    if (message.id !== undefined)
+      self.postMessage({ type: 'result', id: message.id, error: err && err.message || String(err) });
+    else
+      console.error(err);
+  }
+};
@@ -1 +1,13 @@
+import { ModuleManager } from './emscripten-component-base';
+
 export { default as default } from './Emscripten.svelte';
+export { createEmscriptenState } from './state.js';
+export { emscripten } from './action.js';
+export { ModuleManager };
+
+/** Download and compile a program's WASM before mounting a component, e.g.
+ ** while the user is on another page. Pass the same `wasmPath` and WASM
+ ** cache options as to the component. Resolves with the WebAssembly.Module. */
+export function preload(module, wasmPath, options = {}) {
+  return ModuleManager.preload(module, wasmPath, options);
+}
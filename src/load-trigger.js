@@ -0,0 +1,34 @@
+// Wait for `options.loadOn` before loading a Module, so that neither the
+// factory nor the WASM is fetched until needed.
+
+/** Resolve once `loadOn` ('mount', 'visible' or 'interaction') says to
+ ** load the Module into `element`. Returns `{ promise, stop }`, where
+ ** stop() gives up waiting; the promise then never resolves. */
+export function waitForLoadTrigger(element, loadOn = 'mount') {
+  let stop = function() {};
+
+  const promise = new Promise(function(resolve) {
+    const trigger = function() {
+      stop();
+      resolve();
+    };
+
+    if (loadOn === 'visible') {
+      const observer = new IntersectionObserver(function(entries) {
+        if (entries.some(entry => entry.isIntersecting))
+          trigger();
+      });
+      observer.observe(element);
+      stop = () => observer.disconnect();
+    }
+    else if (loadOn === 'interaction') {
+      const types = ['pointerdown', 'keydown'];
+      types.forEach(type => element.addEventListener(type, trigger));
+      stop = () => types.forEach(type => element.removeEventListener(type, trigger));
+    }
+    else
+      resolve();
+  });
+
+  return { promise, stop: () => stop() };
+}
@@ -0,0 +1,34 @@
+// Options of the Svelte component and of the custom element, as passed to
+// the manager.
+
+/** Derive the manager's options from the component's `options`. */
+export function getManagerOptions(options, state) {
+  // The TAB key is captured along with global input, unless set apart
+  return {
+    ...options,
+    state,
+    captureFocusOnComponent: !options.global,
+    captureTabKey: options.captureTabKey !== undefined ? options.captureTabKey : !!options.global,
+  };
+}
+
+/** Report a failed update of the running Module, for callers that don't
+ ** await it, such as reactive statements. */
+export function warnUpdateFailed(e) {
+  console.warn('Updating the options of the Emscripten module failed:', e);
+}
+
+/** Describe how keyboard users leave the component, for screen readers. */
+export function getFocusHint(options) {
+  // Mirrors the defaults of `captureTabKey` and the release shortcut
+  const releaseFocusKey = options.releaseFocusKey !== undefined ? options.releaseFocusKey : null;
+  const holdTime = options.releaseFocusHoldTime !== undefined ? options.releaseFocusHoldTime : 1000;
+  const captureTabKey = options.captureTabKey !== undefined ? options.captureTabKey : !!options.global;
+
+  let hint = 'Keyboard input goes to the program.';
+  if (releaseFocusKey)
+    hint += ` ${holdTime ? 'Hold' : 'Press'} ${releaseFocusKey} to leave.`;
+  else if (!captureTabKey)
+    hint += ' Press Tab to leave.';
+  return hint;
+}
@@ -0,0 +1,32 @@
+import { writable } from 'svelte/store';
+
+/** Create stores for the runtime state of an `<Emscripten>` component.
+ ** Pass the result as `options.state` to follow the component from
+ ** outside, e.g. from a toolbar. The component updates these stores:
+ **
+ ** - `status`: 'loading', 'ready', 'running', 'paused', 'exited' or 'aborted'
+ ** - `progress`: loading progress from 0 to 1, or null when unknown
+ ** - `isFullscreen`: whether the canvas is fullscreen
+ ** - `exitCode`: the program's exit code once it exits, otherwise null
+ ** - `stdout`, `stderr`: arrays of the latest printed lines
+ ** - `heapSize`: the size of the WASM heap in bytes */
+export function createEmscriptenState() {
+  return {
+    status: writable('loading'),
+    progress: writable(null),
+    isFullscreen: writable(false),
+    exitCode: writable(null),
+    stdout: writable([]),
+    stderr: writable([]),
+    heapSize: writable(null)
+  };
+}
+
+/** Return read-only views of the stores in `state`. */
+export function readonlyState(state) {
+  const views = {};
+  Object.keys(state).forEach(function(name) {
+    views[name] = { subscribe: state[name].subscribe };
+  });
+  return views;
+}
@@ -0,0 +1,58 @@
+// The console's input line, shared by the Svelte component and the custom
+// element. It behaves like a terminal's: Enter sends a line, Ctrl+D
+// flushes a pending line or signals EOF, and Up and Down browse the lines
+// sent before.
+
+/** Create the keydown handler of an input line. `echo(text)` shows what
+ ** is sent in the console; `write(text)` and `close()` go to the
+ ** program's stdin. */
+export function createStdinHandler({ echo, write, close }) {
+  const history = [];
+  let historyIndex = 0;
+
+  return function(e) {
+    // Keep Module's key handlers, which listen on the component, from
+    // swallowing keystrokes meant for the input line.
+    e.stopPropagation();
+
+    const input = e.currentTarget;
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const line = input.value;
+      if (line && line !== history[history.length - 1])
+        history.push(line);
+      historyIndex = history.length;
+      input.value = '';
+      echo(line);
+      write(line + '\n');
+    }
+    else if (e.key === 'd' && e.ctrlKey) {
+      // Like a terminal: flush a pending line without a newline,
+      // otherwise signal EOF.
+      e.preventDefault();
+      const line = input.value;
+      input.value = '';
+      if (line) {
+        echo(line);
+        write(line);
+      }
+      else
+        close();
+    }
+    else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (historyIndex > 0) {
+        historyIndex--;
+        input.value = history[historyIndex];
+      }
+    }
+    else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      if (historyIndex < history.length) {
+        historyIndex++;
+        input.value = history[historyIndex] || '';
+      }
+    }
+  };
+}